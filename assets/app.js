@@ -499,13 +499,17 @@ initButton.addEventListener('click', async () => {
 
       // Setup scope visualiser
       setupScope();
+      startInspector();
     };
 
     orchestrator.onMessageReceived = (message) => {
+      if (isInspectorReply(message)) return;
       addMessage(message);
     };
 
     orchestrator.onMessageSent = (oscData) => {
+      trackSentMessage(oscData);
+      if (inspectorSending) return;
       addSentMessage(oscData);
     };
 
@@ -661,6 +665,263 @@ function stopScope() {
   }
 }
 
+// Node tree inspector - polls scsynth while its tab is open
+const INSPECTOR_POLL_MS = 1000;
+
+const inspectorTree = document.getElementById('inspector-tree');
+const inspectorNode = document.getElementById('inspector-node');
+const inspectorStatus = document.getElementById('inspector-status');
+const inspectorSynthDefs = document.getElementById('inspector-synthdefs');
+const inspectorBuffers = document.getElementById('inspector-buffers');
+
+let inspectorTimer = null;
+let inspectorPolling = false;
+let inspectorSending = false;
+const inspectorCalls = new Set();   // ids of the inspector's calls still waiting for replies
+let inspectorRoot = null;
+let selectedNodeId = null;
+const pausedNodes = new Set();
+const loadedSynthDefs = new Set();  // scsynth can't list these, so they're tracked as sent
+const allocatedBuffers = new Set();
+
+// Send a command for the inspector, keeping it and its reply out of the message lists
+async function inspectorCall(address, ...args) {
+  // call() sends before its first await
+  inspectorSending = true;
+  const result = orchestrator.call(address, ...args);
+  inspectorSending = false;
+  const callId = orchestrator.lastCallId;
+  inspectorCalls.add(callId);
+  try {
+    return await result;
+  } finally {
+    inspectorCalls.delete(callId);
+  }
+}
+
+// Only the reply a call consumed carries its id, so replies to the same
+// command typed by hand still show up. Replies arrive here before the call
+// waiting on them settles.
+function isInspectorReply(message) {
+  return message.replyTo !== undefined && inspectorCalls.has(message.replyTo);
+}
+
+// The name of the first synthdef in a /d_recv blob (SCgf header, def count, then a pascal string)
+function synthDefNameFromBlob(data) {
+  if (!data || data.length < 11) return null;
+  const length = data[10];
+  return new TextDecoder().decode(data.slice(11, 11 + length));
+}
+
+// Keep track of what's been loaded and allocated from everything sent
+function trackSentMessage(oscData) {
+  let packet;
+  try {
+    packet = SuperSonic.osc.decode(oscData);
+  } catch (e) {
+    return;
+  }
+  const messages = packet.packets ? packet.packets : [packet];
+  messages.forEach(({ address, args }) => {
+    const values = (args || []).map(arg => (arg && arg.value !== undefined ? arg.value : arg));
+    if (address === '/d_recv') {
+      const name = synthDefNameFromBlob(values[0]);
+      if (name) loadedSynthDefs.add(name);
+    } else if (address === '/d_free') {
+      values.forEach(name => loadedSynthDefs.delete(name));
+    } else if (address && address.startsWith('/b_alloc')) {
+      allocatedBuffers.add(values[0]);
+    } else if (address === '/b_free') {
+      allocatedBuffers.delete(values[0]);
+    } else if (address === '/n_run') {
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        if (values[i + 1] === 0) pausedNodes.add(values[i]);
+        else pausedNodes.delete(values[i]);
+      }
+    }
+  });
+}
+
+// /g_queryTree.reply: flag, then depth-first nodes of id, child count (-1 for
+// a synth), and for synths the synthdef name plus controls when flag is set
+function parseQueryTree(args) {
+  const withControls = args[0] === 1;
+  let i = 1;
+
+  function readNode() {
+    const id = args[i++];
+    const childCount = args[i++];
+    if (childCount === -1) {
+      const node = { id, synth: args[i++], controls: [] };
+      if (withControls) {
+        const controlCount = args[i++];
+        for (let c = 0; c < controlCount; c++) {
+          node.controls.push({ name: args[i++], value: args[i++] });
+        }
+      }
+      return node;
+    }
+    const group = { id, children: [] };
+    for (let c = 0; c < childCount; c++) group.children.push(readNode());
+    return group;
+  }
+
+  return readNode();
+}
+
+function findNode(node, id) {
+  if (!node) return null;
+  if (node.id === id) return node;
+  for (const child of node.children || []) {
+    const found = findNode(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+function renderNodeTree() {
+  inspectorTree.innerHTML = '';
+  if (!inspectorRoot) return;
+
+  const renderNode = (node) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'inspector-node-label';
+    if (node.children) {
+      label.textContent = `group ${node.id}`;
+    } else {
+      label.textContent = `${node.id} ${node.synth}${pausedNodes.has(node.id) ? ' (paused)' : ''}`;
+    }
+    if (node.id === selectedNodeId) label.classList.add('selected');
+    label.addEventListener('click', () => {
+      selectedNodeId = node.id;
+      renderNodeTree();
+      renderSelectedNode();
+    });
+    item.appendChild(label);
+
+    if (node.children && node.children.length > 0) {
+      const list = document.createElement('ul');
+      node.children.forEach(child => list.appendChild(renderNode(child)));
+      item.appendChild(list);
+    }
+    return item;
+  };
+
+  const root = document.createElement('ul');
+  root.appendChild(renderNode(inspectorRoot));
+  inspectorTree.appendChild(root);
+}
+
+function inspectorButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.addEventListener('click', async () => {
+    try {
+      await onClick();
+      await pollInspector();
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+  return button;
+}
+
+function renderSelectedNode() {
+  if (!inspectorNode) return;
+  inspectorNode.innerHTML = '';
+  const node = findNode(inspectorRoot, selectedNodeId);
+  if (!node) {
+    selectedNodeId = null;
+    inspectorNode.innerHTML = '<p class="message-empty">Select a node</p>';
+    return;
+  }
+
+  const title = document.createElement('h4');
+  title.textContent = node.children ? `Group ${node.id}` : `Synth ${node.id} (${node.synth})`;
+  inspectorNode.appendChild(title);
+
+  (node.controls || []).forEach(control => {
+    const row = document.createElement('label');
+    row.className = 'inspector-control';
+    row.textContent = control.name + ' ';
+    const input = document.createElement('input');
+    input.value = control.value;
+    // Controls mapped to a bus show as "c1" / "a1" and are left alone
+    input.disabled = typeof control.value !== 'number';
+    input.addEventListener('change', async () => {
+      const value = parseFloat(input.value);
+      if (isNaN(value)) return;
+      try {
+        await orchestrator.call('/n_set', node.id, control.name, value);
+      } catch (error) {
+        showError(error.message);
+      }
+    });
+    row.appendChild(input);
+    inspectorNode.appendChild(row);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'inspector-actions';
+  const paused = pausedNodes.has(node.id);
+  actions.appendChild(inspectorButton(paused ? 'Run' : 'Pause', () => orchestrator.call('/n_run', node.id, paused ? 1 : 0)));
+  // The root group can't be freed
+  if (node.id !== 0) {
+    actions.appendChild(inspectorButton('Free', () => orchestrator.call('/n_free', node.id)));
+  }
+  inspectorNode.appendChild(actions);
+}
+
+function renderServerState(status, buffers) {
+  if (inspectorStatus && status) {
+    inspectorStatus.textContent =
+      `UGens: ${status.ugens}  Synths: ${status.synths}  Groups: ${status.groups}  ` +
+      `SynthDefs: ${status.synthDefs}  CPU: ${status.avgCPU.toFixed(1)}% avg / ${status.peakCPU.toFixed(1)}% peak`;
+  }
+  if (inspectorSynthDefs) {
+    const names = [...loadedSynthDefs].sort();
+    inspectorSynthDefs.textContent = names.length > 0 ? names.join('\n') : 'No synthdefs loaded';
+  }
+  if (inspectorBuffers) {
+    inspectorBuffers.textContent = buffers.length > 0
+      ? buffers.map(b => `${b.bufnum}: ${b.frames} frames, ${b.channels} ch, ${b.sampleRate}Hz`).join('\n')
+      : 'No buffers allocated';
+  }
+}
+
+async function pollInspector() {
+  if (!orchestrator || !orchestrator.initialized || inspectorPolling) return;
+  inspectorPolling = true;
+  try {
+    const [tree, status, buffers] = await Promise.all([
+      inspectorCall('/g_queryTree', 0, 1),
+      inspectorCall('/status'),
+      Promise.all([...allocatedBuffers].sort((a, b) => a - b).map(bufnum => inspectorCall('/b_query', bufnum)))
+    ]);
+    inspectorRoot = parseQueryTree(tree.args);
+    // Nodes that have ended can't still be paused
+    pausedNodes.forEach(id => { if (!findNode(inspectorRoot, id)) pausedNodes.delete(id); });
+    renderNodeTree();
+    // Don't rebuild the controls under someone typing into them
+    if (!inspectorNode || !inspectorNode.contains(document.activeElement)) renderSelectedNode();
+    renderServerState(status, buffers);
+  } catch (error) {
+    console.warn('[Inspector] Poll failed:', error.message);
+    if (inspectorStatus) inspectorStatus.textContent = `Poll failed: ${error.message}`;
+  } finally {
+    inspectorPolling = false;
+  }
+}
+
+function startInspector() {
+  if (!inspectorTree || inspectorTimer) return;
+  inspectorTimer = setInterval(() => {
+    const tab = document.querySelector('[data-tab-content="inspector"]');
+    if (!tab || tab.classList.contains('active')) pollInspector();
+  }, INSPECTOR_POLL_MS);
+}
+
 // Message form input handler removed - no character counter
 
 messageForm.addEventListener('submit', (e) => {
@@ -0,0 +1,73 @@
+// Headless benchmark for the physics step: steps a SimulationCore at the
+// fixed 60Hz rate and reports how long forces and the CANNON step take.
+//
+//   node bench/physics_benchmark.js --spheres 500 --steps 600 --maxDistance 15
+//
+// Needs cannon 0.6.2 where Node can require it (e.g. `npm i --no-save cannon@0.6.2`,
+// or NODE_PATH pointing at a node_modules that has it). Any other --key value
+// pair overrides that config setting; JSON values are parsed, so
+// --forceFields '["vortex"]' works.
+import { createRequire } from 'node:module';
+import { performance } from 'node:perf_hooks';
+import { DEFAULT_CONFIG } from '../js/config.js';
+import { SimulationCore, FIXED_STEP } from '../js/simulation_core.js';
+
+const FRAME_BUDGET_MS = 1000 / 60;
+
+function parseArgs(argv) {
+  const options = { spheres: 500, steps: 600, warmup: 60 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    try {
+      options[key] = JSON.parse(value);
+    } catch (e) {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function run() {
+  const { spheres, steps, warmup, ...overrides } = parseArgs(process.argv.slice(2));
+  const CANNON = createRequire(import.meta.url)('cannon');
+  const config = { ...DEFAULT_CONFIG, seed: 1, fixedTimestep: true, sphereCount: spheres, ...overrides };
+
+  const core = new SimulationCore(config, { CANNON });
+  let collisions = 0;
+  core.on('collision', () => { collisions++; });
+  core.init();
+
+  for (let i = 0; i < warmup; i++) core.stepOnce();
+
+  // Same work as stepOnce, timed in its two halves
+  const forceTimes = [];
+  const stepTimes = [];
+  collisions = 0;
+  for (let i = 0; i < steps; i++) {
+    const start = performance.now();
+    core.applyForces();
+    const forced = performance.now();
+    core.time = (core.stepCount + 1) * FIXED_STEP;
+    core.world.step(FIXED_STEP);
+    core.updateFlipTimers(FIXED_STEP);
+    core.stepCount++;
+    forceTimes.push(forced - start);
+    stepTimes.push(performance.now() - forced);
+  }
+
+  const totals = forceTimes.map((t, i) => t + stepTimes[i]).sort((a, b) => a - b);
+  const mean = (times) => times.reduce((sum, t) => sum + t, 0) / times.length;
+  console.log(`${spheres} spheres, maxDistance ${config.maxDistance}, cubeSize ${config.cubeSize}, ${steps} steps`);
+  console.log(`  forces   ${mean(forceTimes).toFixed(3)}ms mean`);
+  console.log(`  physics  ${mean(stepTimes).toFixed(3)}ms mean`);
+  console.log(`  total    ${mean(totals).toFixed(3)}ms mean, ${percentile(totals, 0.95).toFixed(3)}ms p95, ${percentile(totals, 1).toFixed(3)}ms max`);
+  console.log(`  ${collisions} collisions; ${totals.filter(t => t > FRAME_BUDGET_MS).length} steps over the ${FRAME_BUDGET_MS.toFixed(1)}ms frame budget`);
+  core.cleanup();
+}
+
+run();
@@ -1063,13 +1063,69 @@ var osc_default = osc;
 var { readPacket, writePacket, readMessage, writeMessage, readBundle, writeBundle } = osc;
 
 // js/supersonic.js
+// Commands scsynth answers with a specific reply. `match` picks this call's
+// reply out of others to the same command; `parse` turns its args into an object.
+var SCSYNTH_REPLIES = {
+  "/sync": { reply: "/synced", match: (args, reply) => reply[0] === args[0] },
+  "/status": {
+    reply: "/status.reply",
+    parse: (args) => ({
+      ugens: args[1],
+      synths: args[2],
+      groups: args[3],
+      synthDefs: args[4],
+      avgCPU: args[5],
+      peakCPU: args[6],
+      nominalSampleRate: args[7],
+      actualSampleRate: args[8]
+    })
+  },
+  "/version": { reply: "/version.reply" },
+  "/n_query": {
+    reply: "/n_info",
+    match: (args, reply) => reply[0] === args[0],
+    parse: (args) => ({
+      nodeId: args[0],
+      parent: args[1],
+      prev: args[2],
+      next: args[3],
+      isGroup: args[4] === 1,
+      ...args[4] === 1 ? { head: args[5], tail: args[6] } : {}
+    })
+  },
+  "/b_query": {
+    reply: "/b_info",
+    match: (args, reply) => reply[0] === args[0],
+    parse: (args) => ({ bufnum: args[0], frames: args[1], channels: args[2], sampleRate: args[3] })
+  },
+  "/g_queryTree": { reply: "/g_queryTree.reply", match: (args, reply) => reply[1] === args[0] },
+  "/s_get": { reply: "/n_set", match: (args, reply) => reply[0] === args[0] },
+  "/c_get": { reply: "/c_set", match: (args, reply) => reply[0] === args[0] }
+};
+// Commands that run asynchronously and reply /done when finished
+var SCSYNTH_ASYNC_COMMANDS = [
+  "/notify",
+  "/d_recv",
+  "/d_load",
+  "/d_loadDir",
+  "/b_alloc",
+  "/b_allocRead",
+  "/b_allocReadChannel",
+  "/b_read",
+  "/b_readChannel",
+  "/b_write",
+  "/b_free",
+  "/b_zero",
+  "/b_gen",
+  "/b_close"
+];
 var SuperSonic = class {
   // Expose OSC utilities as static methods
   static osc = {
     encode: (message) => osc_default.writePacket(message),
     decode: (data, options = { metadata: false }) => osc_default.readPacket(data, options)
   };
-  constructor() {
+  constructor(options = {}) {
     this.initialized = false;
     this.initializing = false;
     this.capabilities = {};
@@ -1078,12 +1134,17 @@ var SuperSonic = class {
     this.bufferConstants = null;
     this.audioContext = null;
     this.workletNode = null;
+    this.recorderNode = null;
     this.osc = null;
     this.wasmModule = null;
     this.wasmInstance = null;
     this.wasmTimeOffset = null;
     this._timeOffsetPromise = null;
     this._resolveTimeOffset = null;
+    this._replyWaiters = [];
+    this._nextSyncId = 1;
+    this._nextCallId = 1;
+    this.lastCallId = null;
     this.onMessageReceived = null;
     this.onMessageSent = null;
     this.onMetricsUpdate = null;
@@ -1095,10 +1156,14 @@ var SuperSonic = class {
     this.config = {
       wasmUrl: "./dist/wasm/scsynth-nrt.wasm",
       workletUrl: "./dist/workers/scsynth_audio_worklet.js",
+      recorderUrl: "./dist/workers/recorder_worklet.js",
       audioContextOptions: {
         latencyHint: "interactive",
         sampleRate: 48e3
-      }
+      },
+      // Milliseconds call() waits for a reply
+      replyTimeout: 5e3,
+      ...options
     };
     this.stats = {
       initStartTime: null,
@@ -1236,6 +1301,9 @@ var SuperSonic = class {
   async #initializeOSC() {
     this.osc = new ScsynthOSC();
     this.osc.onOSCMessage((msg) => {
+      if (this._replyWaiters.length > 0) {
+        this.#dispatchReply(msg);
+      }
       if (this.onMessageReceived) {
         this.stats.messagesReceived++;
         this.onMessageReceived(msg);
@@ -1498,10 +1566,20 @@ var SuperSonic = class {
    */
   async destroy() {
     console.log("[SuperSonic] Destroying...");
+    this._replyWaiters.forEach((waiter) => {
+      clearTimeout(waiter.timeout);
+      waiter.reject(new Error("SuperSonic destroyed"));
+    });
+    this._replyWaiters = [];
     if (this.osc) {
       this.osc.terminate();
       this.osc = null;
     }
+    if (this.recorderNode) {
+      this.recorderNode.port.postMessage({ type: "stop" });
+      this.recorderNode.disconnect();
+      this.recorderNode = null;
+    }
     if (this.workletNode) {
       this.workletNode.disconnect();
       this.workletNode = null;
@@ -1517,7 +1595,7 @@ var SuperSonic = class {
   /**
    * Load a binary synthdef file and send it to scsynth
    * @param {string} path - Path or URL to the .scsyndef file
-   * @returns {Promise<void>}
+   * @returns {Promise<void>} Resolves once scsynth has loaded it (/done /d_recv)
    * @example
    * await sonic.loadSynthDef('./etc/synthdefs/sonic-pi-beep.scsyndef');
    */
@@ -1532,7 +1610,7 @@ var SuperSonic = class {
       }
       const arrayBuffer = await response.arrayBuffer();
       const synthdefData = new Uint8Array(arrayBuffer);
-      this.send("/d_recv", synthdefData);
+      await this.call("/d_recv", synthdefData);
       console.log(`[SuperSonic] Loaded synthdef from ${path} (${synthdefData.length} bytes)`);
     } catch (error) {
       console.error("[SuperSonic] Failed to load synthdef:", error);
@@ -1568,6 +1646,217 @@ var SuperSonic = class {
     console.log(`[SuperSonic] Loaded ${successCount}/${names.length} synthdefs`);
     return results;
   }
+  /**
+   * Send a command and wait for scsynth's reply to it. Replies are matched to
+   * the oldest waiting call they fit, which is the order scsynth answers in.
+   * Commands with a known reply (see SCSYNTH_REPLIES) resolve with it, parsed
+   * where there's a parser; asynchronous commands resolve on their /done; any
+   * other command resolves once a following /sync confirms it has run. A /fail
+   * for the command rejects with scsynth's error text, and no reply within
+   * config.replyTimeout rejects too. Each call's id is in lastCallId as soon
+   * as it returns, and the reply it consumes reaches onMessageReceived with
+   * that id as replyTo.
+   * @param {string} address - OSC address
+   * @param {...*} args - Arguments, as for send()
+   * @returns {Promise<*>} The reply (parsed, or { address, args })
+   * @example
+   * const status = await sonic.call('/status');
+   * const node = await sonic.call('/n_query', 1000);
+   * await sonic.call('/b_alloc', 0, 48000, 2);
+   */
+  async call(address, ...args) {
+    if (!this.initialized) {
+      throw new Error("SuperSonic not initialized. Call init() first.");
+    }
+    // Waiters are registered in the same tick as the send, before any reply
+    // can be dispatched
+    const isFailure = (m) => m.address === "/fail" && m.args[0] === address;
+    const callId = this._nextCallId++;
+    this.lastCallId = callId;
+    const expected = SCSYNTH_REPLIES[address];
+    if (expected) {
+      this.send(address, ...args);
+      const reply = await this.#awaitReply(callId, address, (m) => m.address === expected.reply && (!expected.match || expected.match(args, m.args)), isFailure);
+      return expected.parse ? expected.parse(reply.args) : reply;
+    }
+    if (SCSYNTH_ASYNC_COMMANDS.includes(address)) {
+      // Buffer commands name their buffer in the /done
+      const bufnum = address.startsWith("/b_") ? args[0] : void 0;
+      this.send(address, ...args);
+      return this.#awaitReply(callId, address, (m) => m.address === "/done" && m.args[0] === address && (bufnum === void 0 || m.args[1] === bufnum), isFailure);
+    }
+    const id = this._nextSyncId++;
+    this.send(address, ...args);
+    this.send("/sync", id);
+    return this.#awaitReply(callId, address, (m) => m.address === "/synced" && m.args[0] === id, isFailure);
+  }
+  #awaitReply(callId, address, isReply, isFailure) {
+    return new Promise((resolve, reject) => {
+      const waiter = { callId, isReply, isFailure, resolve, reject };
+      waiter.timeout = setTimeout(() => {
+        this._replyWaiters = this._replyWaiters.filter((w) => w !== waiter);
+        reject(new Error(`${address} timed out waiting for scsynth`));
+      }, this.config.replyTimeout);
+      this._replyWaiters.push(waiter);
+    });
+  }
+  #dispatchReply(msg) {
+    let message;
+    try {
+      message = osc_default.readPacket(msg.oscData, { metadata: false });
+    } catch (error) {
+      return;
+    }
+    const index = this._replyWaiters.findIndex((waiter) => waiter.isReply(message) || waiter.isFailure(message));
+    if (index === -1) {
+      return;
+    }
+    const [waiter] = this._replyWaiters.splice(index, 1);
+    clearTimeout(waiter.timeout);
+    msg.replyTo = waiter.callId;
+    if (waiter.isReply(message)) {
+      waiter.resolve(message);
+    } else {
+      waiter.reject(new Error(`${message.args[0]} failed: ${message.args[1]}`));
+    }
+  }
+  /**
+   * Wait until scsynth has processed every command sent before this one
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    await this.call("/sync", this._nextSyncId++);
+  }
+  /**
+   * Allocate a zeroed buffer on scsynth
+   * @param {number} bufnum - Buffer number
+   * @param {number} frames - Length in sample frames
+   * @param {number} channels - Channel count (default 1)
+   * @returns {Promise<void>} Resolves once scsynth reports /done
+   * @example
+   * await sonic.allocBuffer(0, 48000, 2);
+   */
+  async allocBuffer(bufnum, frames, channels = 1) {
+    await this.call("/b_alloc", bufnum, frames, channels);
+  }
+  /**
+   * Free a buffer on scsynth
+   * @param {number} bufnum - Buffer number
+   * @returns {Promise<void>} Resolves once scsynth reports /done
+   */
+  async freeBuffer(bufnum) {
+    await this.call("/b_free", bufnum);
+  }
+  /**
+   * Write interleaved samples into an allocated buffer with /b_setn. Large
+   * data is split over several messages so each fits the ring buffer.
+   * @param {number} bufnum - Buffer number
+   * @param {Float32Array} samples - Interleaved sample data
+   * @param {number} startIndex - First sample (not frame) to write (default 0)
+   * @returns {Promise<void>} Resolves once scsynth has applied every chunk
+   */
+  async writeBuffer(bufnum, samples, startIndex = 0) {
+    const CHUNK_SAMPLES = 1024;
+    for (let offset = 0; offset < samples.length; offset += CHUNK_SAMPLES) {
+      const chunk = samples.subarray(offset, offset + CHUNK_SAMPLES);
+      this.send("/b_setn", bufnum, startIndex + offset, chunk.length, ...chunk);
+    }
+    await this.sync();
+  }
+  /**
+   * Record the engine's output. Audio is tapped after scsynth by a recorder
+   * worklet and delivered straight to `port` (e.g. one end of a MessageChannel
+   * whose other end is in an encoding Worker) as
+   * { type: 'chunk', channels: Float32Array[], frames } messages, followed by
+   * { type: 'end' } once recording stops.
+   * @param {MessagePort} port - Receives the recorded audio (transferred)
+   * @param {Object} options - { chunkFrames } frames per chunk (default 16384)
+   * @returns {Promise<Object>} { sampleRate, channels } of the recording
+   */
+  async startRecording(port, { chunkFrames = 16384 } = {}) {
+    if (!this.initialized) {
+      throw new Error("SuperSonic not initialized. Call init() first.");
+    }
+    const channels = 2;
+    if (!this.recorderNode) {
+      await this.audioContext.audioWorklet.addModule(this.config.recorderUrl);
+      this.recorderNode = new AudioWorkletNode(this.audioContext, "supersonic-recorder", {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        channelCount: channels,
+        channelCountMode: "explicit",
+        channelInterpretation: "discrete"
+      });
+      // The recorder outputs silence; connecting it keeps it processing
+      this.workletNode.connect(this.recorderNode);
+      this.recorderNode.connect(this.audioContext.destination);
+    }
+    this.recorderNode.port.postMessage({ type: "start", port, channels, chunkFrames }, [port]);
+    return { sampleRate: this.audioContext.sampleRate, channels };
+  }
+  pauseRecording() {
+    this.recorderNode?.port.postMessage({ type: "pause" });
+  }
+  resumeRecording() {
+    this.recorderNode?.port.postMessage({ type: "resume" });
+  }
+  /**
+   * Stop recording; the port receives any remaining audio, then 'end'
+   */
+  stopRecording() {
+    this.recorderNode?.port.postMessage({ type: "stop" });
+  }
+  /**
+   * Decode an audio file in the browser (any format it supports, e.g. WAV,
+   * FLAC, OGG), resampled to the engine's sample rate, into interleaved samples
+   * ready for writeBuffer
+   * @param {string|ArrayBuffer|Blob} source - URL, encoded bytes or a File
+   * @returns {Promise<Object>} { samples, frames, channels, sampleRate, duration }
+   */
+  async decodeSample(source) {
+    if (!this.initialized) {
+      throw new Error("SuperSonic not initialized. Call init() first.");
+    }
+    let encoded;
+    if (typeof source === "string") {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to load sample from ${source}: ${response.status} ${response.statusText}`);
+      }
+      encoded = await response.arrayBuffer();
+    } else if (source instanceof Blob) {
+      encoded = await source.arrayBuffer();
+    } else {
+      encoded = source;
+    }
+    const audio = await this.audioContext.decodeAudioData(encoded);
+    const channels = audio.numberOfChannels;
+    const frames = audio.length;
+    const samples = new Float32Array(frames * channels);
+    for (let channel = 0; channel < channels; channel++) {
+      const data = audio.getChannelData(channel);
+      for (let frame = 0; frame < frames; frame++) {
+        samples[frame * channels + channel] = data[frame];
+      }
+    }
+    return { samples, frames, channels, sampleRate: audio.sampleRate, duration: audio.duration };
+  }
+  /**
+   * Decode an audio file and load it into a new scsynth buffer, the
+   * equivalent of /b_allocRead for files the browser can read
+   * @param {number} bufnum - Buffer number
+   * @param {string|ArrayBuffer|Blob} source - URL, encoded bytes or a File
+   * @returns {Promise<Object>} { bufnum, frames, channels, sampleRate, duration }
+   * @example
+   * const info = await sonic.loadSample(0, './samples/kick.wav');
+   */
+  async loadSample(bufnum, source) {
+    const { samples, ...info } = await this.decodeSample(source);
+    await this.allocBuffer(bufnum, info.frames, info.channels);
+    await this.writeBuffer(bufnum, samples);
+    return { bufnum, ...info };
+  }
 };
 export {
   SuperSonic
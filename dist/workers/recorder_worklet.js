@@ -0,0 +1,99 @@
+/*
+    SuperSonic - SuperCollider AudioWorklet WebAssembly port
+    Copyright (c) 2025 Sam Aaron
+
+    Based on SuperCollider by James McCartney and community
+    GPL v3 or later
+*/
+
+/**
+ * Recorder AudioWorklet - taps the scsynth output for SuperSonic.startRecording
+ * Collects input frames into per-channel chunks and transfers each full
+ * chunk to the MessagePort given on start, so consumers (e.g. an encoding
+ * worker) receive audio without touching the main thread
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.out = null;
+        this.recording = false;
+        this.channels = 2;
+        this.chunkFrames = 16384;
+        this.chunk = null;
+        this.filled = 0;
+
+        this.port.onmessage = (event) => {
+            const data = event.data;
+
+            if (data.type === 'start') {
+                this.out = data.port;
+                this.channels = data.channels || this.channels;
+                this.chunkFrames = data.chunkFrames || this.chunkFrames;
+                this.chunk = null;
+                this.filled = 0;
+                this.recording = true;
+            } else if (data.type === 'pause') {
+                this.recording = false;
+            } else if (data.type === 'resume') {
+                this.recording = this.out !== null;
+            } else if (data.type === 'stop') {
+                this.flush();
+                if (this.out) {
+                    this.out.postMessage({ type: 'end' });
+                    this.out.close();
+                }
+                this.out = null;
+                this.recording = false;
+            }
+        };
+    }
+
+    flush() {
+        if (!this.out || !this.chunk || this.filled === 0) return;
+        const frames = this.filled;
+        // Full chunks are sent as they are; a final partial one is trimmed
+        const channels = frames === this.chunkFrames
+            ? this.chunk
+            : this.chunk.map((data) => data.slice(0, frames));
+        this.out.postMessage({ type: 'chunk', channels: channels, frames: frames }, channels.map((data) => data.buffer));
+        this.chunk = null;
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        if (!this.recording) {
+            return true;
+        }
+
+        // An input carrying silence may arrive with no channels at all
+        const input = inputs[0];
+        const frames = input && input.length > 0 ? input[0].length : 128;
+        let offset = 0;
+        while (offset < frames) {
+            if (!this.chunk) {
+                this.chunk = [];
+                for (let c = 0; c < this.channels; c++) {
+                    this.chunk.push(new Float32Array(this.chunkFrames));
+                }
+            }
+
+            const count = Math.min(frames - offset, this.chunkFrames - this.filled);
+            for (let c = 0; c < this.channels; c++) {
+                if (input && input[c]) {
+                    this.chunk[c].set(input[c].subarray(offset, offset + count), this.filled);
+                }
+            }
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.chunkFrames) {
+                this.flush();
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('supersonic-recorder', RecorderProcessor);
@@ -1,49 +1,201 @@
+import { collisionSoundParams, collisionSounds } from './collision_sound.js';
+import { SuperSonicOutput } from './supersonic_output.js';
+import { WebMidiOutput } from './web_midi_output.js';
+import { MusicalClock } from './musical_clock.js';
+import { RhythmQuantizer } from './rhythm_quantizer.js';
+import { ProgressionEngine } from './progression.js';
+import { voiceSynthNames } from './voices.js';
+import { VoiceManager } from './voice_manager.js';
+import { DroneEngine } from './drone_engine.js';
+import { DEFAULT_LISTENER, listenerFromCamera } from './spatializer.js';
+
+// Which output backends each config.outputMode plays through
+const OUTPUT_MODES = {
+  supersonic: ['supersonic'],
+  midi: ['midi'],
+  both: ['supersonic', 'midi']
+};
+
 class AudioInterface {
-  constructor() {
-    this.sonic = null;
+  constructor(config) {
+    this.config = config;
+    this.voices = new VoiceManager(config);
+    this.outputs = {
+      supersonic: new SuperSonicOutput(config, this.voices),
+      midi: new WebMidiOutput({ portId: config.midiOutputId })
+    };
+    this.now = () => performance.now() / 1000;
+    this.clock = new MusicalClock(config, this.now());
+    this.quantizer = new RhythmQuantizer(config, this.clock);
+    this.progression = new ProgressionEngine(config, this.clock);
+    this.drones = new DroneEngine(config, this);
+    this.listener = DEFAULT_LISTENER;
+    this.pendingNotes = new Set(); // timers of grid notes waiting for their send time
     this.initialised = false;
+    this.noteListeners = [];
   }
 
-  async init() {
-    if (this.initialised) return this.sonic;
+  get sonic() {
+    return this.outputs.supersonic.sonic;
+  }
+
+  activeOutputs() {
+    const names = OUTPUT_MODES[this.config.outputMode] || OUTPUT_MODES.supersonic;
+    return names.map(name => this.outputs[name]);
+  }
 
-    const { SuperSonic } = await import('../dist/supersonic.js');
+  // Listeners see every collision sound, whether or not audio has started
+  addNoteListener(listener) {
+    this.noteListeners.push(listener);
+    return () => {
+      this.noteListeners = this.noteListeners.filter(l => l !== listener);
+    };
+  }
 
-    this.sonic = new SuperSonic();
-    await this.sonic.init();
+  // Play every collision the core reports (and drive the drones from its
+  // motion); returns an unsubscribe function
+  subscribe(core) {
+    const unsubscribeCollisions = core.on('collision', (event) => {
+      if (!collisionSounds(event, this.config) || this.voices.debounce(event)) return;
+      this.playCollisionSound(collisionSoundParams(event, this.config, this.listener));
+    });
+    // A restarted run's times start again from zero, so contacts from the
+    // last run would look recent and debounce everything
+    const unsubscribeReset = core.on('reset', () => {
+      this.voices.forgetContacts();
+      this.cancelPendingNotes();
+    });
+    const unsubscribeDrones = this.drones.subscribe(core);
+    return () => {
+      unsubscribeCollisions();
+      unsubscribeReset();
+      unsubscribeDrones();
+    };
+  }
 
-    await this.sonic.loadSynthDefs(
-      ["sonic-pi-beep", "sonic-pi-dsaw", "sonic-pi-tri", "sonic-pi-fx_reverb"],
-      "../dist/etc/synthdefs/"
-    );
-    this.setupReverb();
+  async init() {
+    // A failing backend (e.g. MIDI permission denied) shouldn't silence the others
+    await Promise.all(this.activeOutputs().map(async (output) => {
+      try {
+        await output.init();
+      } catch (error) {
+        console.error(`[Audio] Failed to initialise ${output.name} output:`, error);
+      }
+    }));
 
+    if (!this.initialised) this.resetClock();
     this.initialised = true;
+    this.preloadVoices();
     console.log('[Audio] Initialized');
     return this.sonic;
   }
 
-  setupReverb() {
-    this.sonic.send('/s_new', 'sonic-pi-fx_reverb', -1, 1, 0,
-      'out_bus', 0,
-      'room', 1,
-      'amp', 0.3
-    );
+  // Sounds are placed relative to this camera from the next collision on
+  setListener(camera) {
+    this.listener = listenerFromCamera(camera);
   }
 
-  playCollisionSound(params) {
-    if (!this.initialised) return;
+  async setOutputMode(mode) {
+    this.cancelPendingNotes();
+    this.config.outputMode = mode;
+    if (this.initialised) await this.init();
+  }
+
+  // Fetch the synthdefs the current voice assignment needs before they're played
+  async preloadVoices() {
+    const output = this.outputs.supersonic;
+    if (output.ready) await output.loadSynthDefs(voiceSynthNames(this.config));
+  }
+
+  // Structural FX changes (added, removed or reordered effects) rebuild the graph
+  async rebuildFx() {
+    const output = this.outputs.supersonic;
+    if (output.ready) await output.buildFx();
+  }
+
+  // Parameter and bypass changes are sent to the running effect
+  updateFx(section, index) {
+    const output = this.outputs.supersonic;
+    if (output.ready) output.fx.update(output.sonic, section, index);
+  }
+
+  // Samples need the engine running to hold their buffers
+  async loadSample(name, source) {
+    const output = this.outputs.supersonic;
+    if (!output.ready) throw new Error('Start audio before loading samples');
+    return output.loadSample(name, source);
+  }
+
+  async freeSample(name) {
+    await this.outputs.supersonic.samples.free(name);
+  }
+
+  samples() {
+    const bank = this.outputs.supersonic.samples;
+    return { samples: bank.list(), bytesUsed: bank.bytesUsed, limitBytes: bank.limitBytes };
+  }
+
+  async setMidiOutput(portId) {
+    this.config.midiOutputId = portId;
+    await this.outputs.midi.selectPort(portId);
+  }
+
+  // Start the bar count (and any progression) from now
+  resetClock() {
+    this.clock.reset(this.now());
+    this.quantizer.reset();
+  }
+
+  metrics() {
+    return this.voices.metrics();
+  }
+
+  // Without a grid notes go out straight away, a lookahead ahead. On the grid
+  // they wait for their slot's send time so later hits can still be merged in.
+  playCollisionSound(sound) {
+    const { lookahead } = this.config;
+    if (!this.clock.enabled) {
+      this.dispatch({ ...sound, delay: lookahead });
+      return;
+    }
 
-    const { synth, note, amp, pan, release } = params;
+    const now = this.now();
+    const note = this.quantizer.place(sound, now + lookahead);
+    if (!note || note.merged) return;
+
+    const timer = setTimeout(() => {
+      this.pendingNotes.delete(timer);
+      this.dispatch({ ...note.params, delay: Math.max(0, note.time - this.now()) });
+    }, Math.max(0, (note.time - lookahead - now) * 1000));
+    this.pendingNotes.add(timer);
+  }
+
+  // Drop grid notes that haven't been sent yet, and the slots they held
+  cancelPendingNotes() {
+    this.pendingNotes.forEach(timer => clearTimeout(timer));
+    this.pendingNotes.clear();
+    this.quantizer.reset();
+  }
+
+  // Notes placed before a pause would otherwise play into the silence
+  pause() {
+    this.cancelPendingNotes();
+    this.drones.setPaused(true);
+  }
+
+  resume() {
+    this.drones.setPaused(false);
+  }
+
+  dispatch(sound) {
+    const params = this.progression.harmonize(sound, this.now() + sound.delay);
+    this.noteListeners.forEach(listener => listener(params));
+    if (!this.initialised) return;
 
-    this.sonic.send('/s_new', synth, -1, 0, 0,
-      'note', note,
-      'amp', amp,
-      'pan', pan,
-      'attack', 0.01,
-      'release', release
-    );
+    this.activeOutputs().forEach(output => {
+      if (output.ready) output.play(params);
+    });
   }
 }
 
-export { AudioInterface };
+export { AudioInterface, OUTPUT_MODES };
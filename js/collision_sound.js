@@ -0,0 +1,64 @@
+import { quantizeToScale } from './utils.js';
+import { AUDIO_CONSTANTS } from './config.js';
+import { DEFAULT_VOICES, voiceFor } from './voices.js';
+import { DEFAULT_LISTENER, spatialize } from './spatializer.js';
+import { mapCollision } from './sound_mapping.js';
+import { faceSettings } from './container.js';
+
+function getCollisionCategory(event) {
+  if (event.hitWall) return 'wall';
+  return event.isAttract ? 'attract' : 'repel';
+}
+
+// Hits on a container face with sounds: false (see container.js) play nothing
+function collisionSounds(event, config) {
+  return !event.face || faceSettings(event.face, config).sounds;
+}
+
+// The group's default synth, before any voice assignment
+function getSynthType(event) {
+  return DEFAULT_VOICES[getCollisionCategory(event)].synth;
+}
+
+// Turn a SimulationCore collision event into synth parameters.
+// Shared by live playback and offline rendering so both sound the same.
+// The unquantized rawNote is kept so a progression can re-harmonize it later,
+// and level, pan and brightness are heard from `listener` (see spatializer.js).
+// Mapped parameters (see sound_mapping.js) override the voice's own settings.
+function collisionSoundParams(event, config, listener = DEFAULT_LISTENER) {
+  const { hitWall, isAttract, velocity, position } = event;
+  const mapped = mapCollision(event, config);
+
+  const baseNote = hitWall
+    ? config.rootNote + AUDIO_CONSTANTS.WALL_OCTAVE_OFFSET + (event.face ? faceSettings(event.face, config).noteOffset : 0)
+    : isAttract
+      ? config.rootNote
+      : config.rootNote + AUDIO_CONSTANTS.REPEL_OCTAVE_OFFSET;
+
+  const rawNote = baseNote + (mapped.note ?? 0);
+  const category = getCollisionCategory(event);
+  const voice = voiceFor(event, category, config);
+  const { attack = 0.01, release, cutoff, detune } = { ...voice.params, ...mapped };
+  const spatial = spatialize(position, listener, config);
+
+  return {
+    synth: voice.synth,
+    // In sample mode, the category's sample plays in place of the synth if loaded
+    sample: config.sampleMode ? config.sampleAssignments?.[category] : undefined,
+    category,
+    rawNote,
+    note: quantizeToScale(rawNote, config),
+    amp: Math.min((mapped.amp ?? 1) * config.ampMultiplier, AUDIO_CONSTANTS.MAX_AMP) * spatial.gain,
+    pan: spatial.pan,
+    attack,
+    release: release ?? (hitWall ? AUDIO_CONSTANTS.WALL_RELEASE : AUDIO_CONSTANTS.SPHERE_RELEASE),
+    // Air absorption can only darken a voice's own cutoff
+    cutoff: spatial.cutoff === undefined ? cutoff : Math.min(cutoff ?? spatial.cutoff, spatial.cutoff),
+    detune,
+    isWall: hitWall,
+    isAttract,
+    velocity
+  };
+}
+
+export { collisionSoundParams, collisionSounds, getSynthType, getCollisionCategory };
@@ -15,6 +15,53 @@ const SCALES = {
   'Chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
 };
 
+// Chord tones, usable anywhere a scale name is
+const CHORDS = {
+  'Major Triad': [0, 4, 7],
+  'Minor Triad': [0, 3, 7],
+  'Diminished Triad': [0, 3, 6],
+  'Sus4': [0, 5, 7],
+  'Major 7th': [0, 4, 7, 11],
+  'Minor 7th': [0, 3, 7, 10],
+  'Dominant 7th': [0, 4, 7, 10]
+};
+
+// Built-in progressions: root is semitones above config.rootNote
+const PROGRESSIONS = {
+  'Pop (I-V-vi-IV)': [
+    { root: 0, scale: 'Major Triad', bars: 1 },
+    { root: 7, scale: 'Major Triad', bars: 1 },
+    { root: 9, scale: 'Minor Triad', bars: 1 },
+    { root: 5, scale: 'Major Triad', bars: 1 }
+  ],
+  'Jazz ii-V-I': [
+    { root: 2, scale: 'Minor 7th', bars: 1 },
+    { root: 7, scale: 'Dominant 7th', bars: 1 },
+    { root: 0, scale: 'Major 7th', bars: 2 }
+  ],
+  '12-Bar Blues': [
+    { root: 0, scale: 'Dominant 7th', bars: 4 },
+    { root: 5, scale: 'Dominant 7th', bars: 2 },
+    { root: 0, scale: 'Dominant 7th', bars: 2 },
+    { root: 7, scale: 'Dominant 7th', bars: 1 },
+    { root: 5, scale: 'Dominant 7th', bars: 1 },
+    { root: 0, scale: 'Dominant 7th', bars: 1 },
+    { root: 7, scale: 'Dominant 7th', bars: 1 }
+  ],
+  'Andalusian Cadence': [
+    { root: 9, scale: 'Minor Triad', bars: 1 },
+    { root: 7, scale: 'Major Triad', bars: 1 },
+    { root: 5, scale: 'Major Triad', bars: 1 },
+    { root: 4, scale: 'Major Triad', bars: 1 }
+  ],
+  'Modal Drift': [
+    { root: 0, scale: 'Dorian', bars: 4 },
+    { root: 0, scale: 'Phrygian', bars: 4 },
+    { root: 0, scale: 'Lydian', bars: 4 },
+    { root: 0, scale: 'Mixolydian', bars: 4 }
+  ]
+};
+
 const AUDIO_CONSTANTS = {
   AMP_MULTIPLIER: 0.05,
   MAX_AMP: 0.2,
@@ -22,21 +69,69 @@ const AUDIO_CONSTANTS = {
   SPHERE_RELEASE: 0.2,
   WALL_OCTAVE_OFFSET: -24,
   REPEL_OCTAVE_OFFSET: -12,
+  // Used by the default sound mapping (see sound_mapping.js)
   VELOCITY_TO_NOTE_SCALE: 2,
   MAX_NOTE_RANGE: 24
 };
 
-let config = {
+const DEFAULT_CONFIG = {
   sphereCount: 10,
   forceStrength: 50,
   maxDistance: 15,
   minFlipTime: 2000,
   maxFlipTime: 8000,
   sphereRadius: 0.5,
-  cubeSize: 20,
+  cubeSize: 20, // Changes while running move the walls there gradually
+  restitution: 0.8,
+  friction: 0.3,
+  linearDamping: 0.01,
+  gravity: 0, // Downward acceleration
   currentScale: 'Pentatonic Major',
   rootNote: 60,
-  ampMultiplier: 0.25
+  ampMultiplier: 0.25,
+  seed: null,
+  fixedTimestep: false,
+  outputMode: 'supersonic',
+  midiOutputId: null,
+  lookahead: 0.1,
+  bpm: 120,
+  beatsPerBar: 4,
+  beatUnit: 4,
+  gridDivision: 0,
+  swing: 0,
+  slotPolicy: 'layer',
+  densityLimit: 0,
+  progression: null, // [{ root, scale, bars }], or null to hold rootNote/currentScale
+  tuning: null, // Cents-based tuning (see tuning.js) that replaces currentScale
+  voices: null, // { wall|attract|repel: { synth, params } } over the defaults in voices.js
+  sphereVoices: null, // { [sphereId]: { synth, params } } for sphere-sphere hits
+  fxChain: null, // FX per section (see fx_chain.js), or null for the default master reverb
+  maxPolyphony: 32,
+  stealPolicy: 'oldest',
+  pairDebounce: 0.05,
+  droneMode: false,
+  droneSynth: 'sonic-pi-tri',
+  droneLevel: 0.05,
+  refDistance: 45, // About the starting camera's distance from the cube centre
+  rolloff: 1,
+  airAbsorption: 0,
+  soundMapping: null, // { [param]: binding } (see sound_mapping.js), or null for the defaults
+  sampleMode: false,
+  sampleAssignments: null, // { wall|attract|repel: sample name } (see sample_bank.js)
+  sampleRootNote: 60, // Note that plays samples at their original rate
+  sampleMemoryLimit: 8, // MB of scsynth memory samples may use
+  recordingLimit: 200, // MB at which output recording stops
+  forceModel: 'inverseSquare', // Pair law (see force_models.js)
+  forceFields: null, // Names of fields acting on every sphere, e.g. ['vortex', 'damping']
+  forceParams: null, // { [model]: { [param]: value } } over each model's defaults
+  species: null, // [{ name, color, category, radius, mass, synth, ... }] (see species.js), or null for attract/repel
+  interactionMatrix: null, // N×N force scales between species, or null for like +1 / unlike -1
+  speciesTransitions: null, // N×N transition weights on a flip, or null to cycle through the species
+  containerShape: 'cube', // 'cube', 'sphere', 'cylinder', 'tetrahedron' or 'mesh' (see container.js), cubeSize across
+  containerMesh: null, // { vertices, faces } of a convex mesh imported from an OBJ, for 'mesh'
+  containerFaces: null // { [face group]: { restitution, friction, sounds, synth, noteOffset, open } }
 };
 
-export { SCALES, AUDIO_CONSTANTS, config }
+let config = { ...DEFAULT_CONFIG };
+
+export { SCALES, CHORDS, PROGRESSIONS, AUDIO_CONSTANTS, DEFAULT_CONFIG, config }
@@ -0,0 +1,320 @@
+// The container the spheres move in: a convex polyhedron of config.cubeSize
+// across, built from config.containerShape. Every shape is a list of
+// polygons, each in a named face group ('top', 'side', ...); the core gives
+// each polygon an inward-facing CANNON plane and the view draws the same
+// polygons, so what you see is what the spheres hit. Curved shapes are
+// faceted.
+//
+// config.containerFaces sets properties per face group:
+//
+//   { top: { restitution: 0.3, friction: 0.1, noteOffset: 7, synth: 'sonic-pi-pluck' },
+//     bottom: { sounds: false }, front: { open: true } }
+//
+// restitution and friction replace the world defaults for hits on that face;
+// sounds: false silences its hits; synth and noteOffset change what its hits
+// play; open faces have no wall at all, and spheres that leave through them
+// come back in somewhere else.
+//
+// 'mesh' uses config.containerMesh, { vertices: [[x, y, z]], faces: [[i, j, k, ...]] }
+// as imported from an OBJ by parseObjMesh. It must be convex.
+
+const CONTAINER_SHAPES = ['cube', 'sphere', 'cylinder', 'tetrahedron', 'mesh'];
+const WALL_THICKNESS = 0.1;
+const CYLINDER_SEGMENTS = 24;
+const MAX_SPAWN_TRIES = 100;
+
+const DEFAULT_FACE = { restitution: null, friction: null, sounds: true, synth: null, noteOffset: 0, open: false };
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const normalize = (a) => scale(a, 1 / (Math.hypot(...a) || 1));
+const average = (points) => scale(points.reduce((sum, p) => [sum[0] + p[0], sum[1] + p[1], sum[2] + p[2]], [0, 0, 0]), 1 / points.length);
+
+// Polyhedra as { vertices, faces: [{ group, indices }] }, centred on the origin
+
+function cubePolyhedron(size) {
+  const h = size / 2;
+  const vertices = [];
+  for (const x of [-h, h]) for (const y of [-h, h]) for (const z of [-h, h]) vertices.push([x, y, z]);
+  // Index = 4x + 2y + z over the corners' signs
+  return {
+    vertices,
+    faces: [
+      { group: 'top', indices: [2, 3, 7, 6] },
+      { group: 'bottom', indices: [0, 4, 5, 1] },
+      { group: 'right', indices: [4, 6, 7, 5] },
+      { group: 'left', indices: [0, 1, 3, 2] },
+      { group: 'front', indices: [1, 5, 7, 3] },
+      { group: 'back', indices: [0, 2, 6, 4] }
+    ]
+  };
+}
+
+// An icosahedron split once into 80 triangles, in upper and lower halves
+function spherePolyhedron(size) {
+  const t = (1 + Math.sqrt(5)) / 2;
+  const vertices = [
+    [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+    [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+    [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+  ].map(normalize);
+  let triangles = [
+    [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+    [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+    [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+    [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+  ];
+
+  const midpoints = new Map();
+  const midpoint = (a, b) => {
+    const key = a < b ? `${a},${b}` : `${b},${a}`;
+    if (!midpoints.has(key)) {
+      vertices.push(normalize(average([vertices[a], vertices[b]])));
+      midpoints.set(key, vertices.length - 1);
+    }
+    return midpoints.get(key);
+  };
+  triangles = triangles.flatMap(([a, b, c]) => {
+    const ab = midpoint(a, b);
+    const bc = midpoint(b, c);
+    const ca = midpoint(c, a);
+    return [[a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]];
+  });
+
+  return {
+    vertices: vertices.map(v => scale(v, size / 2)),
+    faces: triangles.map(indices => ({
+      group: average(indices.map(i => vertices[i]))[1] >= 0 ? 'upper' : 'lower',
+      indices
+    }))
+  };
+}
+
+function cylinderPolyhedron(size) {
+  const r = size / 2;
+  const vertices = [];
+  for (let i = 0; i < CYLINDER_SEGMENTS; i++) {
+    const angle = (i / CYLINDER_SEGMENTS) * Math.PI * 2;
+    vertices.push([r * Math.cos(angle), r, r * Math.sin(angle)], [r * Math.cos(angle), -r, r * Math.sin(angle)]);
+  }
+  const ring = (offset) => Array.from({ length: CYLINDER_SEGMENTS }, (_, i) => 2 * i + offset);
+  const faces = [
+    { group: 'top', indices: ring(0) },
+    { group: 'bottom', indices: ring(1).reverse() }
+  ];
+  for (let i = 0; i < CYLINDER_SEGMENTS; i++) {
+    const next = (i + 1) % CYLINDER_SEGMENTS;
+    faces.push({ group: 'side', indices: [2 * i, 2 * next, 2 * next + 1, 2 * i + 1] });
+  }
+  return { vertices, faces };
+}
+
+// Regular, standing on its base, with its corners on a sphere of size / 2
+function tetrahedronPolyhedron(size) {
+  const r = size / 2;
+  const ring = (r * Math.sqrt(8)) / 3;
+  const vertices = [[0, r, 0]];
+  for (let i = 0; i < 3; i++) {
+    const angle = (i / 3) * Math.PI * 2;
+    vertices.push([ring * Math.cos(angle), -r / 3, ring * Math.sin(angle)]);
+  }
+  return {
+    vertices,
+    faces: [
+      { group: 'base', indices: [1, 2, 3] },
+      { group: 'side 1', indices: [0, 1, 2] },
+      { group: 'side 2', indices: [0, 2, 3] },
+      { group: 'side 3', indices: [0, 3, 1] }
+    ]
+  };
+}
+
+// Centred on its bounding box and scaled so its largest dimension is `size`.
+// Coplanar faces (e.g. the two triangles of a quad) share a group.
+function meshPolyhedron(size, mesh) {
+  const min = [0, 1, 2].map(axis => Math.min(...mesh.vertices.map(v => v[axis])));
+  const max = [0, 1, 2].map(axis => Math.max(...mesh.vertices.map(v => v[axis])));
+  const centre = scale([min[0] + max[0], min[1] + max[1], min[2] + max[2]], 0.5);
+  const factor = size / Math.max(...sub(max, min), 1e-9);
+  const vertices = mesh.vertices.map(v => scale(sub(v, centre), factor));
+
+  const planes = [];
+  const faces = mesh.faces.map(indices => {
+    const normal = newellNormal(indices.map(i => vertices[i]));
+    const offset = dot(normal, vertices[indices[0]]);
+    // OBJ windings aren't always consistent, so either facing counts
+    let plane = planes.findIndex(p => {
+      const facing = dot(p.normal, normal);
+      return Math.abs(facing) > 0.9999 && Math.abs(p.offset - Math.sign(facing) * offset) < 1e-6 * size;
+    });
+    if (plane === -1) {
+      planes.push({ normal, offset });
+      plane = planes.length - 1;
+    }
+    return { group: `face ${plane + 1}`, indices };
+  });
+  return { vertices, faces };
+}
+
+function newellNormal(points) {
+  const normal = [0, 0, 0];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  });
+  return normalize(normal);
+}
+
+function polyhedronOf(config) {
+  const size = config.cubeSize;
+  switch (config.containerShape) {
+    case 'sphere': return spherePolyhedron(size);
+    case 'cylinder': return cylinderPolyhedron(size);
+    case 'tetrahedron': return tetrahedronPolyhedron(size);
+    case 'mesh': return config.containerMesh ? meshPolyhedron(size, config.containerMesh) : cubePolyhedron(size);
+    default: return cubePolyhedron(size);
+  }
+}
+
+class Container {
+  constructor(polyhedron, shape) {
+    this.shape = shape;
+    const centre = average(polyhedron.vertices);
+
+    // Each face's polygon, its inward unit normal, and a point on its plane
+    this.faces = polyhedron.faces.map(({ group, indices }) => {
+      const polygon = indices.map(i => polyhedron.vertices[i]);
+      const point = average(polygon);
+      let normal = newellNormal(polygon);
+      if (dot(normal, sub(centre, point)) < 0) normal = scale(normal, -1);
+      return { group, polygon, point, normal };
+    });
+    this.groups = [...new Set(this.faces.map(face => face.group))];
+    // [min, max] along each axis, and the half-size of the box centred on
+    // the origin that holds it
+    this.bounds = [0, 1, 2].map(axis => {
+      const values = polyhedron.vertices.map(v => v[axis]);
+      return [Math.min(...values), Math.max(...values)];
+    });
+    this.halfExtents = this.bounds.map(([min, max]) => Math.max(-min, max));
+    this.extent = 2 * Math.max(...this.halfExtents);
+  }
+
+  // How far inside every face a point is (negative once outside). Called
+  // per sphere per step with open faces, so it doesn't allocate.
+  depth(x, y, z) {
+    let depth = Infinity;
+    for (let i = 0; i < this.faces.length; i++) {
+      const { normal: n, point: p } = this.faces[i];
+      depth = Math.min(depth, n[0] * (x - p[0]) + n[1] * (y - p[1]) + n[2] * (z - p[2]));
+    }
+    return depth;
+  }
+
+  contains([x, y, z], margin = 0) {
+    return this.depth(x, y, z) >= margin;
+  }
+
+  // A uniformly random point at least `margin` inside. The first try always
+  // lands for a cube, so cube runs draw the same numbers they always did.
+  randomPoint(random, margin) {
+    for (let i = 0; i < MAX_SPAWN_TRIES; i++) {
+      const point = this.halfExtents.map(h => (random() - 0.5) * 2 * Math.max(h - margin, 0));
+      if (this.contains(point, margin)) return point;
+    }
+    return [0, 0, 0];
+  }
+
+  // Whether any face is open, and so whether spheres can get out
+  isOpen(config) {
+    return this.groups.some(group => faceSettings(group, config).open);
+  }
+
+  // The closed faces fan-triangulated and wound to face outwards, as flat
+  // [x, y, z, ...] positions for a mesh
+  trianglePositions(config) {
+    const positions = [];
+    this.faces.forEach(({ group, polygon, normal }) => {
+      if (faceSettings(group, config).open) return;
+      const wound = dot(newellNormal(polygon), normal) > 0 ? [...polygon].reverse() : polygon;
+      for (let i = 1; i < wound.length - 1; i++) positions.push(...wound[0], ...wound[i], ...wound[i + 1]);
+    });
+    return positions;
+  }
+
+  // Polygon outlines as flat [x, y, z, ...] line segment positions, leaving
+  // out edges between coplanar polygons (a mesh quad's diagonal)
+  edgePositions() {
+    const edges = new Map();
+    this.faces.forEach(({ polygon, normal }) => {
+      polygon.forEach((p, i) => {
+        const q = polygon[(i + 1) % polygon.length];
+        const key = [p, q].map(v => v.map(c => c.toFixed(4)).join()).sort().join('|');
+        const edge = edges.get(key);
+        if (edge) {
+          edge.coplanar = dot(edge.normal, normal) > 0.9999;
+        } else {
+          edges.set(key, { points: [p, q], normal, coplanar: false });
+        }
+      });
+    });
+    const positions = [];
+    edges.forEach(({ points, coplanar }) => {
+      if (!coplanar) positions.push(...points[0], ...points[1]);
+    });
+    return positions;
+  }
+}
+
+let cached = { key: null, container: null };
+
+// Built once per shape, size and mesh, so it's cheap to ask for often
+function containerOf(config) {
+  const key = `${config.containerShape}:${config.cubeSize}`;
+  if (cached.key !== key || cached.mesh !== config.containerMesh) {
+    cached = { key, mesh: config.containerMesh, container: new Container(polyhedronOf(config), config.containerShape) };
+  }
+  return cached.container;
+}
+
+function faceSettings(group, config) {
+  return { ...DEFAULT_FACE, ...config.containerFaces?.[group] };
+}
+
+// Vertices and faces (1-based, with optional /vt/vn parts) of an OBJ file,
+// checked to be convex. Throws on anything it can't use.
+function parseObjMesh(text) {
+  const vertices = [];
+  const faces = [];
+  text.split('\n').forEach(line => {
+    const [type, ...parts] = line.trim().split(/\s+/);
+    if (type === 'v') vertices.push(parts.slice(0, 3).map(Number));
+    if (type === 'f') {
+      faces.push(parts.map(part => {
+        const index = parseInt(part.split('/')[0]);
+        return index < 0 ? vertices.length + index : index - 1;
+      }));
+    }
+  });
+
+  if (vertices.length < 4 || faces.length < 4) throw new Error('Mesh needs at least 4 vertices and 4 faces');
+  if (vertices.some(v => v.some(Number.isNaN))) throw new Error('Mesh has malformed vertices');
+  if (faces.some(face => face.length < 3 || face.some(i => !vertices[i]))) throw new Error('Mesh has malformed faces');
+
+  const polyhedron = meshPolyhedron(1, { vertices, faces });
+  const container = new Container(polyhedron, 'mesh');
+  if (polyhedron.vertices.some(v => !container.contains(v, -1e-6))) throw new Error('Mesh must be convex');
+  return { vertices, faces };
+}
+
+export {
+  CONTAINER_SHAPES,
+  WALL_THICKNESS,
+  Container,
+  containerOf,
+  faceSettings,
+  parseObjMesh
+};
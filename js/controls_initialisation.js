@@ -1,10 +1,74 @@
-import { debounce } from "./utils.js";
+import { debounce, downloadBlob } from "./utils.js";
+import { PresetManager } from "./presets.js";
+import { OfflineRenderer } from "./offline_renderer.js";
+import { MidiRecorder } from "./midi_recorder.js";
+import { MasterRecorder } from "./master_recorder.js";
+import { WebMidiOutput } from "./web_midi_output.js";
+import { PROGRESSIONS } from "./config.js";
+import { formatProgression, parseProgression, progressionName } from "./progression.js";
+import { DEFAULT_VOICES, VOICE_PARAMS, groupVoice, loadSynthManifest } from "./voices.js";
+import { SYNTHDEF_BASE_URL } from "./supersonic_output.js";
+import { FX_TYPES, fxChainOf } from "./fx_chain.js";
+import { MAPPING_FEATURES, MAPPED_PARAMS, MAPPING_CURVES, soundMappingOf, defaultBinding } from "./sound_mapping.js";
+import { FORCE_MODELS, pairModelNames, fieldModelNames, pairModelOf, forceFieldsOf, forceParamsOf } from "./force_models.js";
+import { DEFAULT_SPECIES, SPECIES_CATEGORIES, SPECIES_COLORS, speciesOf, interactionMatrixOf } from "./species.js";
+import { containerOf, faceSettings, parseObjMesh } from "./container.js";
+import { parseScl, parseKbm, tuningFromScl, applyKbm, parseTuningDegrees, formatTuningDegrees } from "./tuning.js";
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const VOICE_GROUP_LABELS = { wall: 'Wall hits', attract: 'Attract hits', repel: 'Repel hits' };
+
+// Slider id -> config key, value parser and label formatter
+const SLIDERS = {
+  sphereCount: { key: 'sphereCount', parse: parseInt, format: (v) => v },
+  forceStrength: { key: 'forceStrength', parse: parseFloat, format: (v) => v },
+  maxDistance: { key: 'maxDistance', parse: parseFloat, format: (v) => v.toFixed(1) },
+  cubeSize: { key: 'cubeSize', parse: parseFloat, format: (v) => v },
+  sphereRadius: { key: 'sphereRadius', parse: parseFloat, format: (v) => v.toFixed(1) },
+  restitution: { key: 'restitution', parse: parseFloat, format: (v) => v.toFixed(2) },
+  friction: { key: 'friction', parse: parseFloat, format: (v) => v.toFixed(2) },
+  linearDamping: { key: 'linearDamping', parse: parseFloat, format: (v) => v.toFixed(2) },
+  gravity: { key: 'gravity', parse: parseFloat, format: (v) => v ? v.toFixed(1) : 'Off' },
+  minFlipTime: { key: 'minFlipTime', parse: parseInt, format: (v) => (v / 1000).toFixed(1) },
+  maxFlipTime: { key: 'maxFlipTime', parse: parseInt, format: (v) => (v / 1000).toFixed(1) },
+  ampMultiplier: { key: 'ampMultiplier', parse: parseFloat, format: (v) => v.toFixed(2) },
+  lookahead: { key: 'lookahead', parse: parseFloat, format: (v) => Math.round(v * 1000) },
+  bpm: { key: 'bpm', parse: parseInt, format: (v) => v },
+  swing: { key: 'swing', parse: parseFloat, format: (v) => `${Math.round(v * 100)}%` },
+  densityLimit: { key: 'densityLimit', parse: parseInt, format: (v) => v || 'Off' },
+  maxPolyphony: { key: 'maxPolyphony', parse: parseInt, format: (v) => v || 'Unlimited' },
+  pairDebounce: { key: 'pairDebounce', parse: parseFloat, format: (v) => Math.round(v * 1000) },
+  droneLevel: { key: 'droneLevel', parse: parseFloat, format: (v) => v.toFixed(2) },
+  refDistance: { key: 'refDistance', parse: parseFloat, format: (v) => v },
+  rolloff: { key: 'rolloff', parse: parseFloat, format: (v) => v.toFixed(2) },
+  airAbsorption: { key: 'airAbsorption', parse: parseFloat, format: (v) => v ? v.toFixed(1) : 'Off' },
+  sampleMemoryLimit: { key: 'sampleMemoryLimit', parse: parseInt, format: (v) => v }
+};
 
 class ControlsInitialisation {
   constructor(config, simulation) {
     this.config = config;
     this.simulation = simulation;
+    this.presets = new PresetManager(config, simulation, this);
+    this.midiRecorder = new MidiRecorder(config);
+    this.midiRecorder.subscribe(simulation.audioInterface);
+    this.masterRecorder = new MasterRecorder(config);
+    this.timers = []; // status polls, cleared by cleanup()
     this.setupEventListeners();
+    this.setupPresetControls();
+    this.setupRenderControls();
+    this.setupRecordingControls();
+    this.setupMidiControls();
+    this.setupProgressionControls();
+    this.setupTuningControls();
+    this.setupVoiceControls();
+    this.setupContainerControls();
+    this.setupForceControls();
+    this.setupSpeciesControls();
+    this.setupMappingControls();
+    this.setupSampleControls();
+    this.setupFxControls();
+    this.syncFromConfig();
   }
 
   setupEventListeners() {
@@ -18,78 +82,82 @@ class ControlsInitialisation {
     });
 
     const updateSphereCount = (simulation) => { return debounce(simulation, 300)() };
-    // Sphere count
-    document.getElementById('sphereCount').addEventListener('input', (e) => {
-      this.config.sphereCount = parseInt(e.target.value);
-      document.getElementById('sphereCountValue').textContent = e.target.value;
-      updateSphereCount(this.simulation);
-    });
 
-    // Force strength
-    document.getElementById('forceStrength').addEventListener('input', (e) => {
-      this.config.forceStrength = parseFloat(e.target.value);
-      document.getElementById('forceStrengthValue').textContent = e.target.value;
+    Object.entries(SLIDERS).forEach(([id, slider]) => {
+      document.getElementById(id).addEventListener('input', (e) => {
+        this.config[slider.key] = slider.parse(e.target.value);
+        this.updateSliderLabel(id);
+        if (id === 'sphereCount') updateSphereCount(this.simulation);
+        // The rest of the physics settings are read by the core every step
+        if (id === 'sphereRadius') this.simulation.updateSpecies();
+      });
     });
 
-    // Max distance
-    document.getElementById('maxDistance').addEventListener('input', (e) => {
-      this.config.maxDistance = parseFloat(e.target.value);
-      document.getElementById('maxDistanceValue').textContent = parseFloat(e.target.value).toFixed(1);
-    });
+    const scaleSelect = document.getElementById('scaleSelect');
+    if (scaleSelect) {
+      scaleSelect.addEventListener('change', (e) => {
+        this.config.currentScale = e.target.value;
+        console.log('[Audio] Scale changed to:', this.config.currentScale);
+        this.updateRootNote();
+      });
+    }
+
+    // Root note selection
+    const rootNoteSlider = document.getElementById('rootNote');
+    if (rootNoteSlider) {
+      rootNoteSlider.addEventListener('input', () => {
+        this.config.rootNote = parseInt(rootNoteSlider.value);
+        this.updateRootNote();
+      });
+      this.updateRootNote(); // Initialize display
+    }
 
-    // Min flip time
-    document.getElementById('minFlipTime').addEventListener('input', (e) => {
-      this.config.minFlipTime = parseInt(e.target.value);
-      document.getElementById('minFlipTimeValue').textContent = (parseInt(e.target.value) / 1000).toFixed(1);
+    document.getElementById('gridDivision').addEventListener('change', (e) => {
+      this.config.gridDivision = parseInt(e.target.value);
+      this.updateGridControls();
     });
+    this.updateGridControls();
 
-    // Max flip time
-    document.getElementById('maxFlipTime').addEventListener('input', (e) => {
-      this.config.maxFlipTime = parseInt(e.target.value);
-      document.getElementById('maxFlipTimeValue').textContent = (parseInt(e.target.value) / 1000).toFixed(1);
+    document.getElementById('timeSignature').addEventListener('change', (e) => {
+      const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+      this.config.beatsPerBar = beatsPerBar;
+      this.config.beatUnit = beatUnit;
     });
 
-    // Amp multiplier
-    document.getElementById('ampMultiplier').addEventListener('input', (e) => {
-      this.config.ampMultiplier = parseFloat(e.target.value);
-      document.getElementById('ampMultiplierValue').textContent = (parseFloat(e.target.value)).toFixed(2);
+    document.getElementById('slotPolicy').addEventListener('change', (e) => {
+      this.config.slotPolicy = e.target.value;
     });
 
-    const rootNoteSlider = document.getElementById('rootNote');
-    const rootNoteValue = document.getElementById('rootNoteValue');
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    document.getElementById('droneMode').addEventListener('change', (e) => {
+      this.simulation.audioInterface.drones.setEnabled(e.target.checked);
+    });
 
-    const updateRootNote = () => {
-      this.config.rootNote = parseInt(rootNoteSlider.value);
-      const octave = Math.floor(this.config.rootNote / 12) - 1;
-      const noteName = noteNames[this.config.rootNote % 12];
-      rootNoteValue.textContent = `${noteName}${octave}`;
-    };
+    document.getElementById('stealPolicy').addEventListener('change', (e) => {
+      this.config.stealPolicy = e.target.value;
+    });
 
-    const scaleSelect = document.getElementById('scaleSelect');
-    if (scaleSelect) {
-      scaleSelect.addEventListener('change', (e) => {
-        this.config.currentScale = e.target.value;
-        console.log('[Audio] Scale changed to:', this.config.currentScale);
-        if (e.target.value == 'No Scale') {
-          /* config.rootNote = null; */
-          document.getElementById('rootNote').disabled = true;
-          document.getElementById('rootNoteValue').textContent = '-';
-        } else {
-          document.getElementById('rootNote').disabled = false;
-          updateRootNote();
-        }
-      });
-    }
+    const voiceMetrics = document.getElementById('voiceMetrics');
+    this.every(500, () => {
+      const { voices, peak, stolen, dropped, debounced } = this.simulation.audioInterface.metrics();
+      voiceMetrics.textContent =
+        `Voices: ${voices} (peak ${peak}) · stolen ${stolen} · dropped ${dropped} · debounced ${debounced}`;
+    });
 
+    // Seed and fixed timestep
+    const seedInput = document.getElementById('seed');
+    seedInput.addEventListener('change', () => {
+      const seed = parseInt(seedInput.value);
+      this.config.seed = Number.isNaN(seed) ? null : seed >>> 0;
+    });
 
-    // Root note selection
-    if (rootNoteSlider) {
-      // MIDI note to name conversion
+    document.getElementById('fixedTimestep').addEventListener('change', (e) => {
+      this.config.fixedTimestep = e.target.checked;
+    });
 
-      rootNoteSlider.addEventListener('input', updateRootNote);
-      updateRootNote(); // Initialize display
-    }
+    document.getElementById('restartSimulation').addEventListener('click', () => {
+      this.simulation.createSpheres();
+      this.updateSeed();
+    });
 
     // Play/Pause
     document.getElementById('playPause').addEventListener('click', async () => {
@@ -105,6 +173,1042 @@ class ControlsInitialisation {
       document.getElementById('playIcon').classList.toggle('hidden', isPlaying);
     });
   }
+
+  setupPresetControls() {
+    const nameInput = document.getElementById('presetName');
+    const presetSelect = document.getElementById('presetSelect');
+    const fileInput = document.getElementById('presetFile');
+
+    const presetName = () => nameInput.value.trim() || presetSelect.value || 'Untitled';
+
+    const runPresetAction = async (action) => {
+      try {
+        await action();
+      } catch (error) {
+        console.error('[Presets]', error);
+        alert(`Preset error: ${error.message}`);
+      }
+    };
+
+    document.getElementById('savePreset').addEventListener('click', () => runPresetAction(() => {
+      const name = presetName();
+      this.presets.save(name);
+      this.refreshPresetList(name);
+    }));
+
+    document.getElementById('loadPreset').addEventListener('click', () => runPresetAction(async () => {
+      if (presetSelect.value) await this.presets.load(presetSelect.value);
+    }));
+
+    document.getElementById('deletePreset').addEventListener('click', () => runPresetAction(() => {
+      if (!presetSelect.value) return;
+      this.presets.remove(presetSelect.value);
+      this.refreshPresetList();
+    }));
+
+    document.getElementById('exportPreset').addEventListener('click', () => runPresetAction(() => {
+      this.presets.download(presetName());
+    }));
+
+    document.getElementById('importPreset').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => runPresetAction(async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) await this.presets.upload(file);
+    }));
+
+    this.refreshPresetList();
+  }
+
+  setupFxControls() {
+    const addType = document.getElementById('fxAddType');
+    Object.keys(FX_TYPES).forEach(type => addType.add(new Option(type, type)));
+
+    document.getElementById('fxSection').addEventListener('change', () => this.renderFxList());
+    document.getElementById('fxAdd').addEventListener('click', () => {
+      const section = document.getElementById('fxSection').value;
+      this.editFxChain(chain => chain[section].push({ type: addType.value, params: {}, bypass: false }));
+    });
+  }
+
+  // Every edit replaces config.fxChain, so presets never share the default chain.
+  // Structural edits rebuild the graph; `live` edits only /n_set one effect.
+  editFxChain(edit, live = null) {
+    const chain = structuredClone(fxChainOf(this.config));
+    edit(chain);
+    this.config.fxChain = chain;
+
+    const audio = this.simulation.audioInterface;
+    if (live) {
+      audio.updateFx(live.section, live.index);
+    } else {
+      audio.rebuildFx();
+      this.renderFxList();
+    }
+  }
+
+  renderFxList() {
+    const section = document.getElementById('fxSection').value;
+    const list = document.getElementById('fxList');
+    list.innerHTML = '';
+
+    fxChainOf(this.config)[section].forEach((fx, index) => {
+      const ranges = { mix: [0, 1, 0.01], ...FX_TYPES[fx.type]?.params };
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>
+          ${index + 1}. ${fx.type}
+          <input type="checkbox" data-bypass ${fx.bypass ? 'checked' : ''}> bypass
+        </label>
+        ${Object.entries(ranges).map(([name, [min, max, step]]) => `
+          <label>${name}: <span data-value="${name}">${fx.params[name] ?? 'default'}</span></label>
+          <input type="range" data-param="${name}" min="${min}" max="${max}" step="${step}"
+            value="${fx.params[name] ?? min}" autocomplete="off">`).join('')}
+        <div class="panel-buttons">
+          <button data-move="-1">Up</button>
+          <button data-move="1">Down</button>
+          <button data-remove>Remove</button>
+        </div>`;
+      list.appendChild(item);
+
+      const live = { section, index };
+      item.querySelector('[data-bypass]').addEventListener('change', (e) => {
+        this.editFxChain(chain => { chain[section][index].bypass = e.target.checked; }, live);
+      });
+      item.querySelectorAll('[data-param]').forEach(input => {
+        input.addEventListener('input', () => {
+          const name = input.dataset.param;
+          const value = parseFloat(input.value);
+          item.querySelector(`[data-value="${name}"]`).textContent = value;
+          this.editFxChain(chain => { chain[section][index].params[name] = value; }, live);
+        });
+      });
+      item.querySelectorAll('[data-move]').forEach(button => {
+        button.addEventListener('click', () => {
+          const target = index + parseInt(button.dataset.move);
+          this.editFxChain(chain => {
+            const effects = chain[section];
+            if (target < 0 || target >= effects.length) return;
+            [effects[index], effects[target]] = [effects[target], effects[index]];
+          });
+        });
+      });
+      item.querySelector('[data-remove]').addEventListener('click', () => {
+        this.editFxChain(chain => chain[section].splice(index, 1));
+      });
+    });
+  }
+
+  setupVoiceControls() {
+    const container = document.getElementById('voiceControls');
+
+    Object.keys(DEFAULT_VOICES).forEach(group => {
+      const section = document.createElement('div');
+      section.className = 'control-group';
+      section.innerHTML = `
+        <label>${VOICE_GROUP_LABELS[group]}:
+          <select id="voice-${group}-synth" autocomplete="off"></select>
+        </label>
+        <div class="voice-params">
+          ${Object.entries(VOICE_PARAMS).map(([name, { min, max, step }]) => `
+            <label>${name}
+              <input type="number" id="voice-${group}-${name}" min="${min}" max="${max}" step="${step}"
+                placeholder="default" autocomplete="off">
+            </label>`).join('')}
+        </div>`;
+      container.appendChild(section);
+
+      section.querySelectorAll('select, input').forEach(input => {
+        input.addEventListener('change', () => this.updateVoice(group));
+      });
+    });
+
+    this.setSynthOptions(Object.values(DEFAULT_VOICES).map(v => v.synth));
+    loadSynthManifest(SYNTHDEF_BASE_URL)
+      .then(names => {
+        this.setSynthOptions(names);
+        this.syncVoices();
+        this.renderSpeciesControls();
+        this.renderContainerControls();
+      })
+      .catch(error => {
+        document.getElementById('voiceStatus').textContent = `Synth list unavailable: ${error.message}`;
+      });
+  }
+
+  setSynthOptions(names) {
+    this.synthNames = names;
+    Object.keys(DEFAULT_VOICES).forEach(group => {
+      const select = document.getElementById(`voice-${group}-synth`);
+      select.innerHTML = '';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.replace(/^sonic-pi-/, '');
+        select.appendChild(option);
+      });
+    });
+  }
+
+  updateVoice(group) {
+    const params = {};
+    Object.keys(VOICE_PARAMS).forEach(name => {
+      const value = parseFloat(document.getElementById(`voice-${group}-${name}`).value);
+      if (!Number.isNaN(value)) params[name] = value;
+    });
+
+    this.config.voices = {
+      ...this.config.voices,
+      [group]: { synth: document.getElementById(`voice-${group}-synth`).value, params }
+    };
+    this.simulation.audioInterface.preloadVoices();
+  }
+
+  syncVoices() {
+    Object.keys(DEFAULT_VOICES).forEach(group => {
+      const { synth, params } = groupVoice(group, this.config);
+      const select = document.getElementById(`voice-${group}-synth`);
+      // Keep synths a preset names even if the manifest doesn't list them
+      if (![...select.options].some(option => option.value === synth)) {
+        select.add(new Option(synth.replace(/^sonic-pi-/, ''), synth));
+      }
+      select.value = synth;
+      Object.keys(VOICE_PARAMS).forEach(name => {
+        document.getElementById(`voice-${group}-${name}`).value = params?.[name] ?? '';
+      });
+    });
+  }
+
+  setupContainerControls() {
+    const fileInput = document.getElementById('containerMeshFile');
+    const status = document.getElementById('containerStatus');
+
+    document.getElementById('containerShape').addEventListener('change', (e) => {
+      this.config.containerShape = e.target.value;
+      status.textContent = e.target.value === 'mesh' && !this.config.containerMesh ? 'Import a mesh to use it; until then this is a cube' : '';
+      this.simulation.updateContainer();
+      this.renderContainerControls();
+    });
+
+    document.getElementById('importContainerMesh').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        this.config.containerMesh = parseObjMesh(await file.text());
+      } catch (error) {
+        status.textContent = `${file.name} failed: ${error.message}`;
+        return;
+      }
+      this.config.containerShape = 'mesh';
+      status.textContent = `Using ${file.name}`;
+      this.simulation.updateContainer();
+      this.renderContainerControls();
+    });
+  }
+
+  // Face settings edit a copy of config.containerFaces that then replaces it.
+  // Restitution, friction and opening change the walls themselves, so those
+  // rebuild them; the rest only changes how hits sound.
+  editContainerFace(group, field, value) {
+    this.config.containerFaces = {
+      ...this.config.containerFaces,
+      [group]: { ...this.config.containerFaces?.[group], [field]: value }
+    };
+    if (['restitution', 'friction', 'open'].includes(field)) {
+      this.simulation.updateContainer();
+    } else {
+      this.simulation.audioInterface.preloadVoices();
+    }
+  }
+
+  renderContainerControls() {
+    const container = containerOf(this.config);
+    const list = document.getElementById('containerFaces');
+    document.getElementById('containerShape').value = this.config.containerShape;
+    list.innerHTML = '';
+
+    container.groups.forEach(group => {
+      const face = faceSettings(group, this.config);
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>${group[0].toUpperCase()}${group.slice(1)}:
+          <select data-field="synth" autocomplete="off">
+            <option value="">Wall voice's</option>
+            ${[...new Set([...this.synthNames, ...(face.synth ? [face.synth] : [])])].map(name =>
+              `<option value="${name}" ${name === face.synth ? 'selected' : ''}>${name.replace(/^sonic-pi-/, '')}</option>`).join('')}
+          </select>
+        </label>
+        <div class="voice-params">
+          ${[['restitution', 0, 1, 0.05], ['friction', 0, 1, 0.05], ['noteOffset', -24, 24, 1]].map(([field, min, max, step]) => `
+            <label>${field}
+              <input type="number" data-field="${field}" value="${field === 'noteOffset' ? face[field] : face[field] ?? ''}"
+                min="${min}" max="${max}" step="${step}" placeholder="default" autocomplete="off">
+            </label>`).join('')}
+        </div>
+        <label><input type="checkbox" data-field="sounds" ${face.sounds ? 'checked' : ''}> Sounds</label>
+        <label><input type="checkbox" data-field="open" ${face.open ? 'checked' : ''}> Open</label>`;
+      list.appendChild(item);
+
+      item.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          const field = input.dataset.field;
+          let value = input.value || null;
+          if (input.type === 'checkbox') {
+            value = input.checked;
+          } else if (input.type === 'number') {
+            value = parseFloat(input.value);
+            if (Number.isNaN(value)) value = field === 'noteOffset' ? 0 : null;
+          }
+          this.editContainerFace(group, field, value);
+        });
+      });
+    });
+  }
+
+  setupForceControls() {
+    const modelSelect = document.getElementById('forceModel');
+    pairModelNames().forEach(name => modelSelect.add(new Option(FORCE_MODELS[name].label, name)));
+    modelSelect.addEventListener('change', () => {
+      this.config.forceModel = modelSelect.value;
+      this.renderForceControls();
+    });
+  }
+
+  // Params of the pair law, then every field with a toggle and, when on,
+  // its params. Edits replace config.forceParams/forceFields rather than
+  // mutating them, as with the sound mapping.
+  renderForceControls() {
+    const container = document.getElementById('forceControls');
+    const active = forceFieldsOf(this.config);
+    container.innerHTML = '';
+
+    const renderParams = (name, item) => {
+      const params = forceParamsOf(name, this.config);
+      Object.entries(FORCE_MODELS[name].params).forEach(([param, spec]) => {
+        item.insertAdjacentHTML('beforeend', spec.options ? `
+          <label>${param}:
+            <select data-param="${param}" autocomplete="off">
+              ${spec.options.map(option =>
+                `<option value="${option}" ${option === params[param] ? 'selected' : ''}>${option}</option>`).join('')}
+            </select>
+          </label>` : `
+          <label>${param}: <span data-value="${param}">${params[param]}</span></label>
+          <input type="range" data-param="${param}" min="${spec.min}" max="${spec.max}" step="${spec.step}"
+            value="${params[param]}" autocomplete="off">`);
+      });
+      item.querySelectorAll('[data-param]').forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+          const param = input.dataset.param;
+          const value = input.tagName === 'SELECT' ? input.value : parseFloat(input.value);
+          const label = item.querySelector(`[data-value="${param}"]`);
+          if (label) label.textContent = value;
+          this.config.forceParams = {
+            ...this.config.forceParams,
+            [name]: { ...this.config.forceParams?.[name], [param]: value }
+          };
+        });
+      });
+    };
+
+    const model = pairModelOf(this.config);
+    if (Object.keys(FORCE_MODELS[model].params).length > 0) {
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      container.appendChild(item);
+      renderParams(model, item);
+    }
+
+    fieldModelNames().forEach(name => {
+      const enabled = active.includes(name);
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>
+          <input type="checkbox" data-enabled ${enabled ? 'checked' : ''}> ${FORCE_MODELS[name].label}
+        </label>`;
+      container.appendChild(item);
+
+      item.querySelector('[data-enabled]').addEventListener('change', (e) => {
+        const fields = active.filter(field => field !== name);
+        this.config.forceFields = e.target.checked ? [...fields, name] : fields;
+        this.renderForceControls();
+      });
+      if (enabled) renderParams(name, item);
+    });
+  }
+
+  setupSpeciesControls() {
+    document.getElementById('addSpecies').addEventListener('click', () => {
+      this.editSpecies(({ species }) => {
+        species.push({
+          ...DEFAULT_SPECIES[0],
+          name: `Species ${species.length + 1}`,
+          color: SPECIES_COLORS[(species.length - DEFAULT_SPECIES.length) % SPECIES_COLORS.length]
+        });
+      });
+    });
+    document.getElementById('resetSpecies').addEventListener('click', () => {
+      this.config.species = null;
+      this.config.interactionMatrix = null;
+      this.config.speciesTransitions = null;
+      this.simulation.createSpheres();
+      this.renderSpeciesControls();
+    });
+    document.getElementById('speciesTransitionMode').addEventListener('change', (e) => {
+      // A new table starts out as the cycle it replaces
+      const count = speciesOf(this.config).length;
+      this.config.speciesTransitions = e.target.value === 'cycle'
+        ? null
+        : Array.from({ length: count }, (_, a) => Array.from({ length: count }, (_, b) => (b === (a + 1) % count ? 1 : 0)));
+      this.renderSpeciesControls();
+    });
+  }
+
+  // Edits work on copies of the species, matrix and transition table, which
+  // then replace the config's. Adding or removing a species resizes both
+  // tables and restarts the spheres so every species is represented; other
+  // edits are applied to the running spheres.
+  editSpecies(edit) {
+    const count = speciesOf(this.config).length;
+    const tables = {
+      species: structuredClone(speciesOf(this.config)),
+      matrix: interactionMatrixOf(this.config),
+      transitions: structuredClone(this.config.speciesTransitions)
+    };
+    edit(tables);
+
+    const { species, matrix, transitions } = tables;
+    const resize = (table, fill) => species.map((_, a) => species.map((_, b) => table[a]?.[b] ?? fill(a, b)));
+    this.config.species = species;
+    this.config.interactionMatrix = resize(matrix, (a, b) => (a === b ? 1 : -1));
+    this.config.speciesTransitions = transitions && resize(transitions, () => 0);
+
+    if (species.length !== count) {
+      this.simulation.createSpheres();
+    } else {
+      this.simulation.updateSpecies();
+    }
+    this.simulation.audioInterface.preloadVoices();
+    this.renderSpeciesControls();
+  }
+
+  renderSpeciesControls() {
+    const species = speciesOf(this.config);
+    const list = document.getElementById('speciesList');
+    list.innerHTML = '';
+
+    species.forEach((definition, index) => {
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>
+          <input type="color" data-field="color" value="${definition.color}" autocomplete="off">
+          <input type="text" data-field="name" value="${definition.name}" autocomplete="off">
+        </label>
+        <label>Sound group:
+          <select data-field="category" autocomplete="off">
+            ${SPECIES_CATEGORIES.map(category =>
+              `<option value="${category}" ${category === definition.category ? 'selected' : ''}>${VOICE_GROUP_LABELS[category]}</option>`).join('')}
+          </select>
+        </label>
+        <label>Synth:
+          <select data-field="synth" autocomplete="off">
+            <option value="">Sound group's</option>
+            ${[...new Set([...this.synthNames, ...(definition.synth ? [definition.synth] : [])])].map(name =>
+              `<option value="${name}" ${name === definition.synth ? 'selected' : ''}>${name.replace(/^sonic-pi-/, '')}</option>`).join('')}
+          </select>
+        </label>
+        <div class="voice-params">
+          ${[['radius', 0.1, 0.1], ['mass', 0.1, 0.1], ['minFlipTime', 100, 100], ['maxFlipTime', 100, 100]].map(([field, min, step]) => `
+            <label>${field}
+              <input type="number" data-field="${field}" value="${definition[field] ?? ''}" min="${min}" step="${step}"
+                placeholder="default" autocomplete="off">
+            </label>`).join('')}
+        </div>
+        ${species.length > 1 ? '<div class="panel-buttons"><button data-remove>Remove</button></div>' : ''}`;
+      list.appendChild(item);
+
+      item.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          const field = input.dataset.field;
+          let value = input.value;
+          if (input.type === 'number') {
+            value = parseFloat(value);
+            if (Number.isNaN(value)) value = field === 'mass' ? 1 : null;
+          } else if (field === 'synth') {
+            value = value || null;
+          }
+          this.editSpecies(tables => { tables.species[index][field] = value; });
+        });
+      });
+      item.querySelector('[data-remove]')?.addEventListener('click', () => {
+        this.editSpecies(tables => {
+          const drop = (table) => table?.filter((_, a) => a !== index).map(row => row.filter((_, b) => b !== index));
+          tables.species.splice(index, 1);
+          tables.matrix = drop(tables.matrix);
+          tables.transitions = drop(tables.transitions);
+        });
+      });
+    });
+
+    const renderTable = (containerId, table, onChange) => {
+      const container = document.getElementById(containerId);
+      container.innerHTML = '';
+      if (!table) return;
+      container.innerHTML = `
+        <table class="species-table">
+          <tr><th></th>${species.map(s => `<th style="color: ${s.color}">${s.name}</th>`).join('')}</tr>
+          ${table.map((row, a) => `
+            <tr>
+              <th style="color: ${species[a].color}">${species[a].name}</th>
+              ${row.map((value, b) => `
+                <td><input type="number" data-a="${a}" data-b="${b}" value="${value}" step="0.1" autocomplete="off"></td>`).join('')}
+            </tr>`).join('')}
+        </table>`;
+      container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          if (!Number.isNaN(value)) onChange(parseInt(input.dataset.a), parseInt(input.dataset.b), value);
+        });
+      });
+    };
+
+    renderTable('interactionMatrix', interactionMatrixOf(this.config), (a, b, value) => {
+      this.editSpecies(tables => { tables.matrix[a][b] = value; });
+    });
+    document.getElementById('speciesTransitionMode').value = this.config.speciesTransitions ? 'table' : 'cycle';
+    renderTable('speciesTransitions', this.config.speciesTransitions, (a, b, value) => {
+      this.editSpecies(tables => { tables.transitions[a][b] = Math.max(0, value); });
+    });
+
+    this.renderLegend();
+  }
+
+  renderLegend() {
+    const legend = document.getElementById('legend');
+    legend.innerHTML = speciesOf(this.config).map(s => `
+      <div class="legend-item">
+        <div class="legend-color" style="background: ${s.color}"></div>
+        <span>${s.name}</span>
+      </div>`).join('');
+  }
+
+  setupMappingControls() {
+    document.getElementById('resetMapping').addEventListener('click', () => {
+      this.config.soundMapping = null;
+      this.renderMappingList();
+    });
+  }
+
+  // Like the FX chain, every edit replaces config.soundMapping so presets
+  // never share the defaults; `rerender` rebuilds the editor for edits that
+  // change which inputs it shows
+  editMapping(edit, rerender = false) {
+    const mapping = structuredClone(soundMappingOf(this.config));
+    edit(mapping);
+    this.config.soundMapping = mapping;
+    if (rerender) this.renderMappingList();
+  }
+
+  renderMappingList() {
+    const list = document.getElementById('mappingList');
+    const mapping = soundMappingOf(this.config);
+    list.innerHTML = '';
+
+    Object.entries(MAPPED_PARAMS).forEach(([param, { label }]) => {
+      const binding = mapping[param];
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>
+          <input type="checkbox" data-enabled ${binding ? 'checked' : ''}> ${label}
+        </label>`;
+      list.appendChild(item);
+
+      item.querySelector('[data-enabled]').addEventListener('change', (e) => {
+        this.editMapping(m => {
+          if (e.target.checked) m[param] = defaultBinding(param, 'velocity', this.config);
+          else delete m[param];
+        }, true);
+      });
+      if (!binding) return;
+
+      item.insertAdjacentHTML('beforeend', `
+        <label>From:
+          <select data-field="feature" autocomplete="off">
+            ${Object.entries(MAPPING_FEATURES).map(([name, feature]) =>
+              `<option value="${name}" ${name === binding.feature ? 'selected' : ''}>${feature.label}</option>`).join('')}
+          </select>
+        </label>
+        <label>Curve:
+          <select data-field="curve" autocomplete="off">
+            ${Object.keys(MAPPING_CURVES).map(name =>
+              `<option value="${name}" ${name === binding.curve ? 'selected' : ''}>${name}</option>`).join('')}
+          </select>
+        </label>
+        <div class="voice-params">
+          ${['inMin', 'inMax', 'outMin', 'outMax'].map(field => `
+            <label>${field}
+              <input type="number" data-field="${field}" value="${binding[field]}" step="any" autocomplete="off">
+            </label>`).join('')}
+          ${binding.curve === 'exponential' ? `
+            <label>shape
+              <input type="number" data-field="shape" value="${binding.shape ?? 4}" step="0.5" autocomplete="off">
+            </label>` : ''}
+          ${binding.curve === 'stepped' ? `
+            <label>steps
+              <input type="number" data-field="steps" value="${binding.steps ?? 4}" min="1" step="1" autocomplete="off">
+            </label>` : ''}
+        </div>
+        ${binding.curve === 'table' ? `
+          <label>Table (0-1, comma separated):
+            <input type="text" data-field="table" value="${(binding.table || [0, 1]).join(', ')}" autocomplete="off">
+          </label>` : ''}`);
+
+      item.querySelector('[data-field="feature"]').addEventListener('change', (e) => {
+        // A new feature brings its own input range
+        const [inMin, inMax] = MAPPING_FEATURES[e.target.value].range(this.config);
+        this.editMapping(m => Object.assign(m[param], { feature: e.target.value, inMin, inMax }), true);
+      });
+      item.querySelector('[data-field="curve"]').addEventListener('change', (e) => {
+        this.editMapping(m => { m[param].curve = e.target.value; }, true);
+      });
+      item.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          const field = input.dataset.field;
+          const value = field === 'table'
+            ? input.value.split(',').map(parseFloat).filter(v => !Number.isNaN(v))
+            : parseFloat(input.value);
+          if (field !== 'table' && Number.isNaN(value)) return;
+          this.editMapping(m => { m[param][field] = value; });
+        });
+      });
+    });
+  }
+
+  setupSampleControls() {
+    const fileInput = document.getElementById('sampleFiles');
+    const status = document.getElementById('sampleStatus');
+
+    document.getElementById('sampleMode').addEventListener('change', (e) => {
+      this.config.sampleMode = e.target.checked;
+    });
+    document.getElementById('sampleRootNote').addEventListener('change', (e) => {
+      const note = parseInt(e.target.value);
+      if (!Number.isNaN(note)) this.config.sampleRootNote = note;
+    });
+
+    document.getElementById('loadSamples').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const files = [...fileInput.files];
+      fileInput.value = '';
+      for (const file of files) {
+        status.textContent = `Loading ${file.name}...`;
+        try {
+          await this.simulation.audioInterface.loadSample(file.name, file);
+        } catch (error) {
+          status.textContent = `${file.name} failed: ${error.message}`;
+          return;
+        }
+      }
+      this.renderSampleList();
+    });
+
+    this.renderSampleList();
+  }
+
+  // Assignments are kept by name, so a preset can name samples that get
+  // loaded later; until then those hits play their synths
+  renderSampleList() {
+    const { samples, bytesUsed, limitBytes } = this.simulation.audioInterface.samples();
+    const names = samples.map(sample => sample.name);
+    const assignments = this.config.sampleAssignments || {};
+
+    const assignmentList = document.getElementById('sampleAssignments');
+    assignmentList.innerHTML = '';
+    Object.keys(DEFAULT_VOICES).forEach(group => {
+      const options = [...new Set([...names, assignments[group]].filter(Boolean))];
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>${VOICE_GROUP_LABELS[group]}:
+          <select autocomplete="off">
+            <option value="">Synth</option>
+            ${options.map(name =>
+              `<option value="${name}" ${name === assignments[group] ? 'selected' : ''}>${name}</option>`).join('')}
+          </select>
+        </label>`;
+      assignmentList.appendChild(item);
+      item.querySelector('select').addEventListener('change', (e) => {
+        this.config.sampleAssignments = { ...this.config.sampleAssignments, [group]: e.target.value || null };
+      });
+    });
+
+    const list = document.getElementById('sampleList');
+    list.innerHTML = '';
+    samples.forEach(sample => {
+      const item = document.createElement('div');
+      item.className = 'control-group';
+      item.innerHTML = `
+        <label>${sample.name} (${sample.channels === 1 ? 'mono' : 'stereo'}, ${sample.duration.toFixed(2)}s)</label>
+        <div class="panel-buttons"><button>Free</button></div>`;
+      list.appendChild(item);
+      item.querySelector('button').addEventListener('click', async () => {
+        await this.simulation.audioInterface.freeSample(sample.name);
+        this.renderSampleList();
+      });
+    });
+
+    document.getElementById('sampleStatus').textContent =
+      `${(bytesUsed / 1048576).toFixed(2)} of ${(limitBytes / 1048576).toFixed(0)}MB used`;
+  }
+
+  setupTuningControls() {
+    const degreesInput = document.getElementById('tuningDegrees');
+    const fileInput = document.getElementById('tuningFile');
+    const status = document.getElementById('tuningStatus');
+
+    degreesInput.addEventListener('change', () => {
+      try {
+        this.config.tuning = parseTuningDegrees(degreesInput.value);
+        this.syncTuning();
+      } catch (error) {
+        status.textContent = error.message;
+      }
+    });
+
+    document.getElementById('importTuning').addEventListener('click', () => fileInput.click());
+    document.getElementById('clearTuning').addEventListener('click', () => {
+      this.config.tuning = null;
+      this.syncTuning();
+    });
+
+    // A .scl can come with a .kbm; a .kbm on its own remaps the current tuning
+    fileInput.addEventListener('change', async () => {
+      const files = [...fileInput.files];
+      fileInput.value = '';
+      try {
+        const scl = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+        const kbm = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+
+        let tuning = this.config.tuning;
+        if (scl) tuning = tuningFromScl(parseScl(await scl.text()), scl.name.replace(/\.scl$/i, ''));
+        if (!tuning) throw new Error('Import a .scl scale before its .kbm mapping');
+
+        if (kbm) {
+          const mapping = parseKbm(await kbm.text());
+          tuning = applyKbm(tuning, mapping);
+          this.config.rootNote = mapping.middleNote;
+          this.updateRootNote();
+        }
+
+        this.config.tuning = tuning;
+        this.syncTuning();
+      } catch (error) {
+        status.textContent = `Import failed: ${error.message}`;
+      }
+    });
+  }
+
+  syncTuning() {
+    const { tuning } = this.config;
+    document.getElementById('tuningDegrees').value = formatTuningDegrees(tuning);
+    document.getElementById('tuningStatus').textContent = tuning
+      ? `${tuning.name}: ${tuning.degrees.length} notes per ${tuning.period.toFixed(1)} cents`
+      : '';
+    document.getElementById('scaleSelect').disabled = !!tuning;
+    this.updateRootNote();
+  }
+
+  setupProgressionControls() {
+    const select = document.getElementById('progressionSelect');
+    const stepsInput = document.getElementById('progressionSteps');
+    const status = document.getElementById('progressionStatus');
+
+    ['None', ...Object.keys(PROGRESSIONS), 'Custom'].forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      if (select.value === 'Custom') {
+        stepsInput.focus();
+        return;
+      }
+      this.config.progression = select.value === 'None'
+        ? null
+        : PROGRESSIONS[select.value].map(step => ({ ...step }));
+      this.syncProgression();
+    });
+
+    stepsInput.addEventListener('change', () => {
+      try {
+        this.config.progression = parseProgression(stepsInput.value);
+        this.syncProgression();
+      } catch (error) {
+        status.textContent = error.message;
+      }
+    });
+
+    // Show the chord that's sounding now
+    const progression = this.simulation.audioInterface.progression;
+    this.every(250, () => {
+      if (!this.config.progression) return;
+      const { rootNote, currentScale } = progression.harmonyAt(this.simulation.audioInterface.now());
+      status.textContent = `Now: ${NOTE_NAMES[rootNote % 12]} ${currentScale}`;
+    });
+  }
+
+  syncProgression() {
+    const steps = this.config.progression;
+    document.getElementById('progressionSelect').value = steps
+      ? progressionName(steps) || 'Custom'
+      : 'None';
+    document.getElementById('progressionSteps').value = formatProgression(steps);
+    document.getElementById('progressionStatus').textContent = '';
+  }
+
+  setupMidiControls() {
+    const recordButton = document.getElementById('recordMidi');
+    const midiStatus = document.getElementById('midiStatus');
+    const outputSelect = document.getElementById('outputMode');
+    const midiOutputSelect = document.getElementById('midiOutput');
+    const audioInterface = this.simulation.audioInterface;
+
+    outputSelect.addEventListener('change', () => this.setOutputMode(outputSelect.value));
+
+    midiOutputSelect.addEventListener('change', async () => {
+      try {
+        await audioInterface.setMidiOutput(midiOutputSelect.value || null);
+      } catch (error) {
+        midiStatus.textContent = `MIDI error: ${error.message}`;
+      }
+    });
+
+    recordButton.addEventListener('click', () => {
+      if (this.midiRecorder.recording) {
+        this.midiRecorder.stop();
+        recordButton.textContent = 'Record';
+        midiStatus.textContent = `${this.midiRecorder.notes.length} notes recorded`;
+      } else {
+        this.midiRecorder.start();
+        recordButton.textContent = 'Stop';
+        midiStatus.textContent = 'Recording...';
+      }
+    });
+
+    document.getElementById('exportMidi').addEventListener('click', () => {
+      if (this.midiRecorder.notes.length === 0) {
+        midiStatus.textContent = 'Nothing recorded yet';
+        return;
+      }
+      downloadBlob(this.midiRecorder.toBlob(), `cube-${Date.now()}.mid`);
+    });
+  }
+
+  setupRecordingControls() {
+    const recordButton = document.getElementById('recordAudio');
+    const pauseButton = document.getElementById('pauseAudio');
+    const stopButton = document.getElementById('stopAudio');
+    const status = document.getElementById('audioRecordStatus');
+    const recorder = this.masterRecorder;
+
+    const formatTime = (seconds) => {
+      const minutes = Math.floor(seconds / 60);
+      return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    };
+    const showProgress = ({ seconds, bytes }) => {
+      const paused = recorder.state === 'paused' ? ' (paused)' : '';
+      status.textContent = `${formatTime(seconds)} · ${(bytes / 1048576).toFixed(1)}MB${paused}`;
+    };
+    const setButtons = () => {
+      recordButton.disabled = recorder.state !== 'idle';
+      pauseButton.disabled = !recorder.active;
+      stopButton.disabled = !recorder.active;
+      pauseButton.textContent = recorder.state === 'paused' ? 'Resume' : 'Pause';
+    };
+
+    const stop = async (note = '') => {
+      const blob = await recorder.stop();
+      setButtons();
+      if (!blob) return;
+      downloadBlob(blob, `cube-recording-${Date.now()}.wav`);
+      status.textContent = `Saved ${formatTime(recorder.progress.seconds)}${note}`;
+    };
+
+    recorder.onProgress = showProgress;
+    recorder.onLimit = () => stop(' (size limit reached)');
+
+    document.getElementById('recordingLimit').addEventListener('change', (e) => {
+      const limit = parseInt(e.target.value);
+      if (limit > 0) this.config.recordingLimit = limit;
+    });
+
+    recordButton.addEventListener('click', async () => {
+      try {
+        await recorder.start(this.simulation.audioInterface.sonic);
+        showProgress(recorder.progress);
+      } catch (error) {
+        status.textContent = `Recording failed: ${error.message}`;
+      }
+      setButtons();
+    });
+    pauseButton.addEventListener('click', () => {
+      if (recorder.state === 'paused') recorder.resume();
+      else recorder.pause();
+      setButtons();
+      showProgress(recorder.progress);
+    });
+    stopButton.addEventListener('click', () => stop());
+  }
+
+  setupRenderControls() {
+    const renderButton = document.getElementById('renderWav');
+    const renderStatus = document.getElementById('renderStatus');
+
+    renderButton.addEventListener('click', async () => {
+      const duration = parseFloat(document.getElementById('renderDuration').value) || 60;
+      const seed = this.config.seed ?? this.simulation.seed;
+      const renderer = new OfflineRenderer(this.config, {
+        duration,
+        seed,
+        listener: this.simulation.audioInterface.listener,
+        onProgress: ({ stage, progress }) => {
+          renderStatus.textContent = `${stage} ${Math.round(progress * 100)}%`;
+        }
+      });
+
+      renderButton.disabled = true;
+      try {
+        const wav = await renderer.renderToWav();
+        downloadBlob(wav, `cube-${seed}-${duration}s.wav`);
+        renderStatus.textContent = 'Done';
+      } catch (error) {
+        console.error('[Render]', error);
+        renderStatus.textContent = `Render failed: ${error.message}`;
+      } finally {
+        renderButton.disabled = false;
+      }
+    });
+  }
+
+  every(ms, update) {
+    this.timers.push(setInterval(update, ms));
+  }
+
+  cleanup() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // The panel and presets both switch outputs here, so MIDI ports are listed
+  // before a MIDI output starts
+  async setOutputMode(mode) {
+    if (mode !== 'supersonic') await this.refreshMidiPorts();
+    await this.simulation.audioInterface.setOutputMode(mode);
+  }
+
+  async refreshMidiPorts() {
+    const midiOutputSelect = document.getElementById('midiOutput');
+    try {
+      const ports = await WebMidiOutput.listPorts();
+      midiOutputSelect.innerHTML = '<option value="">Default</option>';
+      ports.forEach(port => {
+        const option = document.createElement('option');
+        option.value = port.id;
+        option.textContent = port.name;
+        midiOutputSelect.appendChild(option);
+      });
+      midiOutputSelect.value = this.config.midiOutputId || '';
+    } catch (error) {
+      document.getElementById('midiStatus').textContent = `MIDI unavailable: ${error.message}`;
+    }
+  }
+
+  refreshPresetList(selected = null) {
+    const presetSelect = document.getElementById('presetSelect');
+    presetSelect.innerHTML = '';
+    this.presets.list().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    });
+    if (selected) presetSelect.value = selected;
+  }
+
+  updateSliderLabel(id) {
+    const slider = SLIDERS[id];
+    document.getElementById(`${id}Value`).textContent = slider.format(this.config[slider.key]);
+  }
+
+  updateRootNote() {
+    const rootNoteSlider = document.getElementById('rootNote');
+    const rootNoteValue = document.getElementById('rootNoteValue');
+
+    rootNoteSlider.value = this.config.rootNote;
+    if (this.config.currentScale === 'No Scale' && !this.config.tuning) {
+      rootNoteSlider.disabled = true;
+      rootNoteValue.textContent = '-';
+      return;
+    }
+
+    rootNoteSlider.disabled = false;
+    const octave = Math.floor(this.config.rootNote / 12) - 1;
+    const noteName = NOTE_NAMES[this.config.rootNote % 12];
+    rootNoteValue.textContent = `${noteName}${octave}`;
+  }
+
+  // Beats are counted on the grid, so the density limit only applies with it on
+  updateGridControls() {
+    document.getElementById('densityLimit').disabled = !(this.config.gridDivision > 0);
+  }
+
+  updateSeed() {
+    const seedInput = document.getElementById('seed');
+    seedInput.value = this.config.seed ?? '';
+    // Show the seed actually in use so a random run can still be replayed
+    seedInput.placeholder = this.simulation.seed ?? '';
+  }
+
+  // Push every config value back into the panel, e.g. after loading a preset
+  syncFromConfig() {
+    Object.entries(SLIDERS).forEach(([id, slider]) => {
+      document.getElementById(id).value = this.config[slider.key];
+      this.updateSliderLabel(id);
+    });
+
+    document.getElementById('scaleSelect').value = this.config.currentScale;
+    this.syncTuning();
+    this.syncProgression();
+    this.syncVoices();
+    this.renderContainerControls();
+    document.getElementById('forceModel').value = pairModelOf(this.config);
+    this.renderForceControls();
+    this.renderSpeciesControls();
+    this.renderMappingList();
+    this.renderFxList();
+
+    document.getElementById('fixedTimestep').checked = this.config.fixedTimestep;
+    document.getElementById('outputMode').value = this.config.outputMode;
+    document.getElementById('gridDivision').value = this.config.gridDivision;
+    this.updateGridControls();
+    document.getElementById('timeSignature').value = `${this.config.beatsPerBar}/${this.config.beatUnit}`;
+    document.getElementById('slotPolicy').value = this.config.slotPolicy;
+    document.getElementById('stealPolicy').value = this.config.stealPolicy;
+    document.getElementById('droneMode').checked = this.config.droneMode;
+    document.getElementById('sampleMode').checked = this.config.sampleMode;
+    document.getElementById('sampleRootNote').value = this.config.sampleRootNote;
+    document.getElementById('recordingLimit').value = this.config.recordingLimit;
+    this.renderSampleList();
+    this.updateSeed();
+  }
 }
 
 export { ControlsInitialisation };
@@ -0,0 +1,230 @@
+import { SYNTH_GROUP } from './fx_chain.js';
+import { quantizeToScale } from './utils.js';
+import { spatialize } from './spatializer.js';
+import { containerOf } from './container.js';
+
+// Drone node ids cycle through their own range, clear of FX and voice ids;
+// fresh ids mean a fading drone can't collide with its sphere's replacement
+const DRONE_NODE_BASE = 5000;
+const DRONE_NODE_LIMIT = 10000;
+const UPDATE_INTERVAL = 1 / 20; // Seconds of simulation time between /n_set updates
+const SLIDE = 0.1;
+const FLIP_GLIDE = 0.75;
+const FLIP_INTERVAL = 7; // Semitones a flip moves the drone (before quantizing)
+const FADE_OUT = 0.3;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, step) {
+  return Math.round(value / step) * step;
+}
+
+// Continuous mode: while config.droneMode is on, every sphere owns a
+// long-sustaining synth whose note, amp, cutoff and pan follow its motion.
+// Nodes are created lazily once SuperSonic is running, and freed from the
+// sphere's own cleanup so a restart never leaves orphaned drones. Updates
+// only send the controls whose (rounded) values have changed.
+class DroneEngine {
+  constructor(config, audioInterface) {
+    this.config = config;
+    this.audio = audioInterface;
+    this.core = null;
+    this.sonic = null; // the engine instance the drones are running on
+    this.drones = new Map(); // sphereId -> { sphere, nodeId, offset, glideUntil, sent }
+    this.withCleanup = new WeakSet(); // spheres whose cleanup already stops their drone
+    this.nearest = new Float64Array(0); // sphere index -> distance to the nearest other species
+    this.lastUpdate = -Infinity;
+    this.nextNodeId = DRONE_NODE_BASE;
+  }
+
+  // The running engine, whether or not the output mode plays through it
+  get engine() {
+    const output = this.audio.outputs.supersonic;
+    return output.ready ? output : null;
+  }
+
+  // The engine, while the output mode plays through it
+  get output() {
+    const engine = this.engine;
+    return engine && this.audio.activeOutputs().includes(engine) ? engine : null;
+  }
+
+  // Drones end with the engine they were started on, so after a restart (or
+  // cleanup) there's nothing left to update or free
+  forgetStaleDrones() {
+    const sonic = this.engine?.sonic ?? null;
+    if (sonic === this.sonic) return;
+    this.sonic = sonic;
+    this.drones.clear();
+  }
+
+  subscribe(core) {
+    this.core = core;
+    const unsubscribers = [
+      core.on('reset', () => { this.lastUpdate = -Infinity; }),
+      core.on('flip', (event) => this.onFlip(event)),
+      core.on('frame', ({ time }) => this.update(time))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  setEnabled(enabled) {
+    this.config.droneMode = enabled;
+    if (!enabled) this.stopAll();
+  }
+
+  start(sphere, index, output) {
+    const nodeId = this.nextNodeId;
+    this.nextNodeId = nodeId + 1 < DRONE_NODE_LIMIT ? nodeId + 1 : DRONE_NODE_BASE;
+    const drone = { sphere, nodeId, offset: 0, glideUntil: 0, sent: new Map() };
+    this.drones.set(sphere.id, drone);
+    // Drones come and go with droneMode, but the sphere only needs telling once
+    if (!this.withCleanup.has(sphere)) {
+      this.withCleanup.add(sphere);
+      sphere.onCleanup(() => this.stop(sphere.id));
+    }
+
+    output.sonic.send('/s_new', this.config.droneSynth, nodeId, 1, SYNTH_GROUP,
+      'out_bus', output.fx.busFor(this.category(sphere)),
+      'amp', 0,
+      'attack', 1,
+      'sustain', 86400,
+      'release', 1,
+      ...this.changedControls(drone, index, 0)
+    );
+  }
+
+  // Fade out before freeing so drones don't click off
+  stop(sphereId) {
+    this.forgetStaleDrones();
+    const drone = this.drones.get(sphereId);
+    const { sonic } = this;
+    this.drones.delete(sphereId);
+    if (!drone || !sonic) return;
+
+    sonic.send('/n_set', drone.nodeId, 'amp_slide', FADE_OUT, 'amp', 0);
+    setTimeout(() => sonic.send('/n_free', drone.nodeId), FADE_OUT * 1000);
+  }
+
+  stopAll() {
+    [...this.drones.keys()].forEach(sphereId => this.stop(sphereId));
+  }
+
+  // Drones only follow the core's frames, so while the simulation is paused
+  // they're held where they are instead of droning on at their last level
+  setPaused(paused) {
+    this.forgetStaleDrones();
+    if (!this.sonic) return;
+    this.drones.forEach(drone => this.sonic.send('/n_run', drone.nodeId, paused ? 0 : 1));
+  }
+
+  category(sphere) {
+    return sphere.isAttract ? 'attract' : 'repel';
+  }
+
+  // A flip glides the drone a fifth up (to attract) or down (to repel), then
+  // onto whichever scale degree is nearest
+  onFlip({ time, sphereId, isAttract }) {
+    const drone = this.drones.get(sphereId);
+    if (!drone) return;
+
+    drone.offset += isAttract ? FLIP_INTERVAL : -FLIP_INTERVAL;
+    if (Math.abs(drone.offset) > 12) drone.offset -= Math.sign(drone.offset) * 12;
+    drone.glideUntil = time + FLIP_GLIDE;
+
+    const output = this.output;
+    if (output) {
+      output.sonic.send('/n_set', drone.nodeId, 'out_bus', output.fx.busFor(this.category(drone.sphere)));
+    }
+  }
+
+  update(time) {
+    this.forgetStaleDrones();
+    if (!this.core) return;
+    // Catches droneMode being switched off by a preset as well as the panel,
+    // and the output mode leaving scsynth
+    const output = this.output;
+    if (!output || !this.config.droneMode) {
+      if (this.drones.size > 0) this.stopAll();
+      return;
+    }
+    if (time - this.lastUpdate < UPDATE_INTERVAL) return;
+    this.lastUpdate = time;
+
+    this.findNearestOpposites();
+    this.core.spheres.forEach((sphere, index) => {
+      if (!this.drones.has(sphere.id)) {
+        this.start(sphere, index, output);
+        return;
+      }
+      const drone = this.drones.get(sphere.id);
+      const controls = this.changedControls(drone, index, time);
+      if (controls.length > 0) output.sonic.send('/n_set', drone.nodeId, ...controls);
+    });
+  }
+
+  // Proximity only counts within config.maxDistance, which is the core's
+  // grid range, so the pairs its last step visited cover every one that
+  // matters. A grid built for a different set of spheres is ignored.
+  findNearestOpposites() {
+    const { spheres, grid } = this.core;
+    if (this.nearest.length < spheres.length) this.nearest = new Float64Array(spheres.length);
+    const nearest = this.nearest;
+    nearest.fill(Infinity, 0, spheres.length);
+    if (grid.count !== spheres.length) return;
+
+    grid.forEachPair((i, j) => {
+      if (spheres[i].species === spheres[j].species) return;
+      const distance = spheres[i].body.position.distanceTo(spheres[j].body.position);
+      if (distance < nearest[i]) nearest[i] = distance;
+      if (distance < nearest[j]) nearest[j] = distance;
+    });
+  }
+
+  // The controls whose values differ from those last sent, as name/value pairs
+  changedControls(drone, index, time) {
+    const controls = this.controls(drone, this.nearest[index] ?? Infinity, time);
+    const changed = [];
+    for (let i = 0; i < controls.length; i += 2) {
+      const [name, value] = [controls[i], controls[i + 1]];
+      if (drone.sent.get(name) === value) continue;
+      drone.sent.set(name, value);
+      changed.push(name, value);
+    }
+    return changed;
+  }
+
+  // Height sets pitch, speed and nearby other species set level and
+  // brightness, and the drone is placed relative to the listener. Values are
+  // rounded to steps the slides smooth over, so still drones send nothing.
+  controls(drone, nearestDistance, time) {
+    const { sphere } = drone;
+    const { position, velocity } = sphere.body;
+    const [bottom, top] = containerOf(this.config).bounds[1];
+    const spatial = spatialize([position.x, position.y, position.z], this.audio.listener, this.config);
+    const speed = Math.min(velocity.length() / 10, 1);
+    const proximity = clamp(1 - nearestDistance / this.config.maxDistance, 0, 1);
+
+    const rawNote = this.config.rootNote
+      + (sphere.isAttract ? 0 : -12)
+      + (sphere.id % 4) * 3
+      + clamp((position.y - bottom) / (top - bottom), 0, 1) * 12
+      + drone.offset;
+    const harmony = this.audio.progression.harmonyAt(this.audio.now());
+
+    return [
+      'note', quantizeToScale(rawNote, harmony),
+      'note_slide', time < drone.glideUntil ? FLIP_GLIDE : SLIDE,
+      'amp', round(this.config.droneLevel * (0.2 + 0.5 * speed + 0.3 * proximity) * spatial.gain, 0.001),
+      'amp_slide', SLIDE,
+      'cutoff', round(Math.min(clamp(50 + 60 * proximity + 20 * speed, 0, 130), spatial.cutoff ?? 130), 0.5),
+      'cutoff_slide', SLIDE,
+      'pan', round(spatial.pan, 0.01),
+      'pan_slide', SLIDE
+    ];
+  }
+}
+
+export { DroneEngine };
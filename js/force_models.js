@@ -0,0 +1,141 @@
+// Force laws acting on the spheres. One pair law (config.forceModel) acts
+// between spheres within config.maxDistance, and any number of fields
+// (config.forceFields) act on each sphere alone, layered on top:
+//
+//   { forceModel: 'lennardJones', forceFields: ['vortex'],
+//     forceParams: { lennardJones: { sigma: 2 }, vortex: { strength: 8 } } }
+//
+// config.forceParams overrides a model's defaults; being plain JSON it
+// travels with presets. To add a model, give it a label, its params
+// ({ min, max, step, value } for numbers, { options, value } for a choice)
+// and one of:
+//
+//   pair(distance, interaction, strength, params) - the force a sphere feels
+//     from another `distance` away, positive pulling it closer. interaction
+//     is the species interaction matrix entry for the two (see species.js),
+//     +1 or -1 with the default species; strength is config.forceStrength.
+//   field(body, params) - adds the field's force to body.force. Runs for
+//     every sphere each step, so it shouldn't allocate.
+
+const AXES = { x: ['y', 'z'], y: ['z', 'x'], z: ['x', 'y'] };
+
+const FORCE_MODELS = {
+  inverseSquare: {
+    label: 'Inverse square',
+    params: {},
+    pair: (distance, interaction, strength) => (interaction * strength) / (distance * distance)
+  },
+  spring: {
+    label: 'Linear spring',
+    params: {
+      restLength: { min: 1, max: 15, step: 0.5, value: 5 },
+      stiffness: { min: 0.005, max: 0.5, step: 0.005, value: 0.02 }
+    },
+    // Attracting pairs settle at the rest length; repelling pairs only push
+    // apart inside it, as a soft shell
+    pair: (distance, interaction, strength, { restLength, stiffness }) => {
+      const stretch = distance - restLength;
+      if (interaction < 0 && stretch > 0) return 0;
+      return Math.abs(interaction) * strength * stiffness * stretch;
+    }
+  },
+  lennardJones: {
+    label: 'Lennard-Jones',
+    params: {
+      sigma: { min: 0.5, max: 6, step: 0.1, value: 1.5 }
+    },
+    // Repulsion inside sigma whatever the species, attraction (or, for
+    // repelling pairs, repulsion) just beyond it. The repulsive term is capped
+    // so spheres pressed into contact don't get launched.
+    pair: (distance, interaction, strength, { sigma }) => {
+      const x = Math.min((sigma / distance) ** 6, 2);
+      return (strength * (interaction * x - 2 * x * x)) / distance;
+    }
+  },
+  vortex: {
+    label: 'Vortex',
+    params: {
+      axis: { options: ['x', 'y', 'z'], value: 'y' },
+      strength: { min: 0, max: 50, step: 1, value: 10 },
+      core: { min: 0.5, max: 10, step: 0.5, value: 2 }
+    },
+    // Swirl around the axis through the centre, strongest at the core radius
+    field: (body, { axis, strength, core }) => {
+      const [u, v] = AXES[axis] || AXES.y;
+      const pu = body.position[u];
+      const pv = body.position[v];
+      const scale = strength / (pu * pu + pv * pv + core * core);
+      body.force[u] -= pv * scale;
+      body.force[v] += pu * scale;
+    }
+  },
+  gravityWell: {
+    label: 'Central gravity well',
+    params: {
+      strength: { min: 0, max: 200, step: 5, value: 40 },
+      softening: { min: 0.5, max: 10, step: 0.5, value: 2 }
+    },
+    // Plummer-softened pull towards the centre, so it stays finite there
+    field: (body, { strength, softening }) => {
+      const { x, y, z } = body.position;
+      const r2 = x * x + y * y + z * z + softening * softening;
+      const scale = (strength * body.mass) / (r2 * Math.sqrt(r2));
+      body.force.x -= x * scale;
+      body.force.y -= y * scale;
+      body.force.z -= z * scale;
+    }
+  },
+  damping: {
+    label: 'Damping',
+    params: {
+      amount: { min: 0, max: 2, step: 0.05, value: 0.3 }
+    },
+    field: (body, { amount }) => {
+      const scale = amount * body.mass;
+      body.force.x -= body.velocity.x * scale;
+      body.force.y -= body.velocity.y * scale;
+      body.force.z -= body.velocity.z * scale;
+    }
+  }
+};
+
+function pairModelNames() {
+  return Object.keys(FORCE_MODELS).filter(name => FORCE_MODELS[name].pair);
+}
+
+function fieldModelNames() {
+  return Object.keys(FORCE_MODELS).filter(name => FORCE_MODELS[name].field);
+}
+
+// Unknown names (e.g. from a preset saved with a custom model) fall back to
+// inverse square
+function pairModelOf(config) {
+  return FORCE_MODELS[config.forceModel]?.pair ? config.forceModel : 'inverseSquare';
+}
+
+function forceFieldsOf(config) {
+  return (config.forceFields || []).filter(name => FORCE_MODELS[name]?.field);
+}
+
+// A model's params: its defaults with config.forceParams on top
+function forceParamsOf(name, config) {
+  const params = {};
+  Object.entries(FORCE_MODELS[name].params).forEach(([param, spec]) => {
+    params[param] = config.forceParams?.[name]?.[param] ?? spec.value;
+  });
+  return params;
+}
+
+function registerForceModel(name, model) {
+  FORCE_MODELS[name] = { params: {}, ...model };
+}
+
+export {
+  FORCE_MODELS,
+  pairModelNames,
+  fieldModelNames,
+  pairModelOf,
+  forceFieldsOf,
+  forceParamsOf,
+  registerForceModel
+};
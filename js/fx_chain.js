@@ -0,0 +1,165 @@
+// Declarative FX routing. A chain description (config.fxChain) lists Sonic Pi
+// FX per section: each sound category gets its own chain on a private bus,
+// and every category chain feeds the master chain, which feeds the output.
+//
+//   { wall: [], attract: [], repel: [],
+//     master: [{ type: 'reverb', params: { room: 1, mix: 0.4 }, bypass: false }] }
+//
+// Collision synths run in SYNTH_GROUP and every FX node in FX_GROUP, which
+// sits after it, so effects always process the current block's notes.
+
+const SYNTH_GROUP = 100;
+const FX_GROUP = 101;
+const FX_NODE_BASE = 1000;
+// First private audio bus, clear of scsynth's hardware output and input buses
+const PRIVATE_BUS_BASE = 16;
+
+// Sonic Pi FX are fully wet unless told otherwise
+const DEFAULT_MIX = 1;
+
+const CATEGORY_SECTIONS = ['wall', 'attract', 'repel'];
+
+// Available effects and the controls the panel offers for each (mix is common to all)
+const FX_TYPES = {
+  reverb: { synth: 'sonic-pi-fx_reverb', params: { room: [0, 1, 0.01], damp: [0, 1, 0.01] } },
+  echo: { synth: 'sonic-pi-fx_echo', params: { phase: [0.05, 2, 0.05], decay: [0, 8, 0.1] } },
+  distortion: { synth: 'sonic-pi-fx_distortion', params: { distort: [0, 0.99, 0.01] } },
+  lpf: { synth: 'sonic-pi-fx_lpf', params: { cutoff: [30, 130, 1] } },
+  hpf: { synth: 'sonic-pi-fx_hpf', params: { cutoff: [30, 130, 1] } },
+  bitcrusher: { synth: 'sonic-pi-fx_bitcrusher', params: { sample_rate: [1000, 20000, 100], bits: [1, 16, 1] } }
+};
+
+const DEFAULT_FX_CHAIN = {
+  wall: [],
+  attract: [],
+  repel: [],
+  master: [{ type: 'reverb', params: { room: 1, mix: 0.4 }, bypass: false }]
+};
+
+function fxChainOf(config) {
+  return config.fxChain || DEFAULT_FX_CHAIN;
+}
+
+function fxSynthNames(chain) {
+  const names = Object.values(chain).flat().map(fx => FX_TYPES[fx.type]?.synth).filter(Boolean);
+  return [...new Set(names)];
+}
+
+// Bypassed effects stay in the graph (so order and buses don't change) with
+// mix at 0, which Sonic Pi FX treat as a dry pass-through. Mix is always sent,
+// so un-bypassing an effect with no mix of its own restores Sonic Pi's default.
+function fxControls(fx) {
+  const controls = [];
+  Object.entries(fx.params || {}).forEach(([name, value]) => {
+    if (name !== 'mix') controls.push(name, value);
+  });
+  controls.push('mix', fx.bypass ? 0 : fx.params?.mix ?? DEFAULT_MIX);
+  return controls;
+}
+
+function groupMessages() {
+  return [
+    ['/g_new', SYNTH_GROUP, 0, 0],
+    ['/g_new', FX_GROUP, 3, SYNTH_GROUP]
+  ];
+}
+
+// Work out buses, node ids and /s_new messages for a chain. Effects whose
+// synthdef isn't loaded are routed around. Returns { messages, buses, nodes }
+// where buses maps each category to the bus its synths should write to and
+// nodes maps "section:index" to the node id for later /n_set calls.
+function planFxChain(chain, isLoaded = () => true) {
+  let nextBus = PRIVATE_BUS_BASE;
+  let nextNode = FX_NODE_BASE;
+  const allocateBus = () => {
+    const bus = nextBus;
+    nextBus += 2; // Stereo
+    return bus;
+  };
+
+  const nodes = {};
+  const playable = (section) => (chain[section] || [])
+    .map((fx, index) => ({ fx, index }))
+    .filter(({ fx }) => FX_TYPES[fx.type] && isLoaded(FX_TYPES[fx.type].synth));
+
+  // Chain a section's effects into outBus; returns the bus feeding the
+  // section (outBus itself when it has no effects) and its /s_new messages
+  const route = (section, outBus) => {
+    const effects = playable(section);
+    if (effects.length === 0) return { inBus: outBus, messages: [] };
+
+    const inBus = allocateBus();
+    let bus = inBus;
+    const messages = effects.map(({ fx, index }, i) => {
+      const out = i === effects.length - 1 ? outBus : allocateBus();
+      const nodeId = nextNode++;
+      nodes[`${section}:${index}`] = nodeId;
+      const message = ['/s_new', FX_TYPES[fx.type].synth, nodeId, 1, FX_GROUP,
+        'in_bus', bus,
+        'out_bus', out,
+        ...fxControls(fx)
+      ];
+      bus = out;
+      return message;
+    });
+    return { inBus, messages };
+  };
+
+  // Each node goes on the tail of FX_GROUP, so category chains are sent
+  // before master to run ahead of it
+  const master = route('master', 0);
+  const buses = {};
+  const messages = [];
+  CATEGORY_SECTIONS.forEach(section => {
+    const category = route(section, master.inBus);
+    buses[section] = category.inBus;
+    messages.push(...category.messages);
+  });
+  messages.push(...master.messages);
+
+  return { messages, buses, nodes };
+}
+
+// Live owner of the FX graph on a running SuperSonic
+class FxChain {
+  constructor(config) {
+    this.config = config;
+    this.plan = { messages: [], buses: {}, nodes: {} };
+  }
+
+  get chain() {
+    return fxChainOf(this.config);
+  }
+
+  busFor(category) {
+    return this.plan.buses[category] ?? 0;
+  }
+
+  // Replace every FX node with a fresh graph for the current chain
+  build(sonic, isLoaded) {
+    this.plan = planFxChain(this.chain, isLoaded);
+    sonic.send('/g_freeAll', FX_GROUP);
+    this.plan.messages.forEach(message => sonic.send(...message));
+  }
+
+  // Live parameter edits go straight to the running node
+  update(sonic, section, index) {
+    const nodeId = this.plan.nodes[`${section}:${index}`];
+    const fx = this.chain[section]?.[index];
+    if (nodeId === undefined || !fx) return;
+    sonic.send('/n_set', nodeId, ...fxControls(fx));
+  }
+}
+
+export {
+  FxChain,
+  FX_TYPES,
+  DEFAULT_FX_CHAIN,
+  SYNTH_GROUP,
+  FX_GROUP,
+  CATEGORY_SECTIONS,
+  fxChainOf,
+  fxSynthNames,
+  groupMessages,
+  planFxChain
+};
@@ -3,5 +3,13 @@ import { ControlsInitialisation } from "./controls_initialisation.js";
 import { config } from "./config.js";
 
 const simulation = new Simulation(canvas, config);
-new ControlsInitialisation(config, simulation);
-simulation.init();
+const controls = new ControlsInitialisation(config, simulation);
+simulation.init().then(() => controls.updateSeed());
+
+// A page kept in the back/forward cache comes back as it was, so only a
+// page that's really going away is torn down
+window.addEventListener('pagehide', (event) => {
+  if (event.persisted) return;
+  controls.cleanup();
+  simulation.cleanup();
+});
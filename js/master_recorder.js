@@ -0,0 +1,87 @@
+// Records what the cube plays to a WAV file. SuperSonic taps its own output
+// and streams audio to wav_recorder_worker.js, which encodes it, so nothing
+// here runs per audio block and Simulation.animate never waits on it.
+
+const BYTES_PER_MB = 1024 * 1024;
+
+class MasterRecorder {
+  constructor(config) {
+    this.config = config;
+    this.worker = null;
+    this.sonic = null;
+    this.state = 'idle'; // 'idle' | 'recording' | 'paused' | 'stopping'
+    this.sampleRate = 0;
+    this.progress = { seconds: 0, bytes: 0 };
+    this.onProgress = () => {};
+    this.onLimit = () => {};
+    this.finished = null;
+  }
+
+  get active() {
+    return this.state === 'recording' || this.state === 'paused';
+  }
+
+  async start(sonic) {
+    if (this.state !== 'idle') return;
+    if (!sonic) throw new Error('Start audio before recording');
+
+    // The encoder starts only once SuperSonic is recording, so a failed start
+    // leaves no worker behind
+    const channel = new MessageChannel();
+    const { sampleRate, channels } = await sonic.startRecording(channel.port1);
+    this.sonic = sonic;
+    this.sampleRate = sampleRate;
+    this.worker = new Worker(new URL('./wav_recorder_worker.js', import.meta.url), { type: 'module' });
+    this.progress = { seconds: 0, bytes: 0 };
+    this.finished = new Promise((resolve) => {
+      this.worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          this.progress = { seconds: data.frames / this.sampleRate, bytes: data.bytes };
+          this.onProgress(this.progress);
+        } else if (data.type === 'limit') {
+          console.log('[Recorder] Size limit reached');
+          this.onLimit();
+        } else if (data.type === 'done') {
+          resolve(data.blob);
+        }
+      };
+    });
+
+    this.worker.postMessage({
+      type: 'start',
+      port: channel.port2,
+      sampleRate,
+      channels,
+      maxBytes: this.config.recordingLimit * BYTES_PER_MB
+    }, [channel.port2]);
+    this.state = 'recording';
+    console.log(`[Recorder] Recording ${channels} channels at ${sampleRate}Hz`);
+  }
+
+  pause() {
+    if (this.state !== 'recording') return;
+    this.sonic.pauseRecording();
+    this.state = 'paused';
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.sonic.resumeRecording();
+    this.state = 'recording';
+  }
+
+  // Resolves with the finished WAV once the worker has the last chunk
+  async stop() {
+    if (!this.active) return null;
+    this.state = 'stopping';
+    this.sonic.stopRecording();
+
+    const blob = await this.finished;
+    this.worker.terminate();
+    this.worker = null;
+    this.state = 'idle';
+    return blob;
+  }
+}
+
+export { MasterRecorder };
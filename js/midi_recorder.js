@@ -0,0 +1,134 @@
+import { PAN_CC, CATEGORY_CHANNELS, noteToMidi, ampToVelocity, panToController } from './midi_utils.js';
+
+const TICKS_PER_QUARTER = 480;
+const DEFAULT_METER = { bpm: 120, beatsPerBar: 4, beatUnit: 4 };
+
+// One track (and MIDI channel) per collision category, matching getSynthType
+const TRACKS = [
+  { category: 'wall', name: 'Wall hits', channel: CATEGORY_CHANNELS.wall },
+  { category: 'attract', name: 'Attract hits', channel: CATEGORY_CHANNELS.attract },
+  { category: 'repel', name: 'Repel hits', channel: CATEGORY_CHANNELS.repel }
+];
+
+function variableLength(value) {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+  }
+  return bytes;
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function chunk(type, data) {
+  return [...type].map(c => c.charCodeAt(0)).concat(uint32(data.length), data);
+}
+
+function metaText(type, text) {
+  const bytes = [...new TextEncoder().encode(text)];
+  return [0xFF, type, ...variableLength(bytes.length), ...bytes];
+}
+
+// [{ tick, order, bytes }] -> MTrk chunk with delta times
+function trackChunk(name, events) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const data = [0x00, ...metaText(0x03, name)];
+
+  let lastTick = 0;
+  sorted.forEach(event => {
+    data.push(...variableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  data.push(0x00, 0xFF, 0x2F, 0x00); // End of track
+
+  return chunk('MTrk', data);
+}
+
+// Captures collision sounds with timestamps and exports them as a type-1 .mid
+class MidiRecorder {
+  constructor(config = DEFAULT_METER) {
+    this.config = config;
+    this.notes = [];
+    this.recording = false;
+    this.startTime = 0;
+    this.meter = { ...DEFAULT_METER };
+    this.clock = null;
+  }
+
+  // Record everything the AudioInterface plays; returns an unsubscribe function
+  subscribe(audioInterface) {
+    this.clock = audioInterface.clock;
+    return audioInterface.addNoteListener((params) => this.record(params));
+  }
+
+  start() {
+    this.notes = [];
+    // The file's tempo and time signature follow the musical clock, and
+    // gridded recordings start on its current downbeat, so they line up with
+    // bars in a DAW
+    const { bpm, beatsPerBar, beatUnit } = this.config;
+    this.meter = { bpm, beatsPerBar, beatUnit };
+    this.startTime = this.barStart(performance.now() / 1000) * 1000;
+    this.recording = true;
+  }
+
+  // Start of the bar `time` (in seconds) falls in, or `time` itself off the grid
+  barStart(time) {
+    if (!this.clock?.enabled) return time;
+    const barLength = this.clock.barLength();
+    const bar = Math.max(0, Math.floor((time - this.clock.origin) / barLength));
+    return this.clock.origin + bar * barLength;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  record(params, time = (performance.now() - this.startTime) / 1000) {
+    if (!this.recording) return;
+
+    this.notes.push({
+      time: time + (params.delay || 0),
+      category: params.category,
+      note: noteToMidi(params.note),
+      velocity: ampToVelocity(params.amp),
+      pan: panToController(params.pan),
+      duration: params.attack + params.release
+    });
+  }
+
+  toSmf() {
+    const { bpm, beatsPerBar, beatUnit } = this.meter;
+    const quartersPerMinute = bpm * 4 / beatUnit;
+    const ticksPerSecond = TICKS_PER_QUARTER * quartersPerMinute / 60;
+    const microsPerQuarter = Math.round(60000000 / quartersPerMinute);
+    const tempoTrack = trackChunk('Supersonic Cube', [
+      { tick: 0, order: 0, bytes: [0xFF, 0x51, 0x03, (microsPerQuarter >> 16) & 0xFF, (microsPerQuarter >> 8) & 0xFF, microsPerQuarter & 0xFF] },
+      { tick: 0, order: 0, bytes: [0xFF, 0x58, 0x04, beatsPerBar, Math.log2(beatUnit), 0x18, 0x08] }
+    ]);
+
+    const noteTracks = TRACKS.map(({ category, name, channel }) => {
+      const events = [];
+      this.notes.filter(n => n.category === category).forEach(n => {
+        const onTick = Math.round(n.time * ticksPerSecond);
+        const offTick = Math.round((n.time + n.duration) * ticksPerSecond);
+        // At equal ticks note-offs go first, then the pan change before its note-on
+        events.push({ tick: offTick, order: 0, bytes: [0x80 | channel, n.note, 0] });
+        events.push({ tick: onTick, order: 1, bytes: [0xB0 | channel, PAN_CC, n.pan] });
+        events.push({ tick: onTick, order: 2, bytes: [0x90 | channel, n.note, n.velocity] });
+      });
+      return trackChunk(name, events);
+    });
+
+    const header = chunk('MThd', [0x00, 0x01, 0x00, TRACKS.length + 1, (TICKS_PER_QUARTER >> 8) & 0xFF, TICKS_PER_QUARTER & 0xFF]);
+    return new Uint8Array([...header, ...tempoTrack, ...noteTracks.flat()]);
+  }
+
+  toBlob() {
+    return new Blob([this.toSmf()], { type: 'audio/midi' });
+  }
+}
+
+export { MidiRecorder };
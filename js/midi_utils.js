@@ -0,0 +1,36 @@
+import { AUDIO_CONSTANTS } from './config.js';
+
+const PAN_CC = 10;
+const ALL_NOTES_OFF_CC = 123;
+const PITCH_BEND_RANGE = 2; // Semitones either way, the General MIDI default
+
+// Default MIDI channel (0-based) per collision category
+const CATEGORY_CHANNELS = {
+  wall: 0,
+  attract: 1,
+  repel: 2
+};
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function noteToMidi(note) {
+  return clamp(Math.round(note), 0, 127);
+}
+
+// Pitch bend that takes noteToMidi(note) to a fractional note -> [lsb, msb]
+function noteToPitchBend(note) {
+  const bend = clamp(Math.round(8192 + (note - noteToMidi(note)) / PITCH_BEND_RANGE * 8192), 0, 16383);
+  return [bend & 0x7F, bend >> 7];
+}
+
+function ampToVelocity(amp) {
+  return clamp(Math.round(amp / AUDIO_CONSTANTS.MAX_AMP * 127), 1, 127);
+}
+
+function panToController(pan) {
+  return clamp(Math.round((pan + 1) / 2 * 127), 0, 127);
+}
+
+export { PAN_CC, ALL_NOTES_OFF_CC, PITCH_BEND_RANGE, CATEGORY_CHANNELS, clamp, noteToMidi, noteToPitchBend, ampToVelocity, panToController };
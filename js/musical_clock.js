@@ -0,0 +1,66 @@
+// Musical time for collision scheduling. Times are in seconds on whatever
+// clock the caller uses; step 0 (the first downbeat) is at `origin`.
+//
+// config.bpm counts beats of config.beatUnit (so 6/8 at 180 is 180 eighths a
+// minute), config.gridDivision is grid steps per beat (0 turns the grid off)
+// and config.swing delays every other step by that fraction of a step.
+class MusicalClock {
+  constructor(config, origin = 0) {
+    this.config = config;
+    this.origin = origin;
+  }
+
+  get enabled() {
+    return this.config.gridDivision > 0 && this.config.bpm > 0;
+  }
+
+  reset(origin) {
+    this.origin = origin;
+  }
+
+  beatLength() {
+    return 60 / this.config.bpm;
+  }
+
+  barLength() {
+    return this.beatLength() * this.config.beatsPerBar;
+  }
+
+  stepLength() {
+    return this.beatLength() / this.config.gridDivision;
+  }
+
+  stepTime(step) {
+    const length = this.stepLength();
+    const swing = step % 2 !== 0 ? this.config.swing * length : 0;
+    return this.origin + step * length + swing;
+  }
+
+  // First step that sounds at or after `time` (never earlier, so lookahead holds)
+  stepAt(time) {
+    let step = Math.max(0, Math.floor((time - this.origin) / this.stepLength()) - 1);
+    while (this.stepTime(step) < time - 1e-9) step++;
+    return step;
+  }
+
+  nextGridTime(time) {
+    if (!this.enabled) return time;
+    return this.stepTime(this.stepAt(time));
+  }
+
+  beatOf(step) {
+    return Math.floor(step / this.config.gridDivision);
+  }
+
+  // { bar, beat, division } of a step, all zero-based
+  position(step) {
+    const beat = this.beatOf(step);
+    return {
+      bar: Math.floor(beat / this.config.beatsPerBar),
+      beat: beat % this.config.beatsPerBar,
+      division: step % this.config.gridDivision
+    };
+  }
+}
+
+export { MusicalClock };
@@ -0,0 +1,205 @@
+import { SimulationCore, FIXED_STEP } from './simulation_core.js';
+import { collisionSoundParams, collisionSounds } from './collision_sound.js';
+import { SYNTHDEFS, SYNTHDEF_BASE_URL, collisionMessage, withAvailableSynth } from './supersonic_output.js';
+import { VoiceManager } from './voice_manager.js';
+import { SYNTH_GROUP, fxChainOf, fxSynthNames, groupMessages, planFxChain } from './fx_chain.js';
+import { RingBufferWriter } from './ring_buffer_writer.js';
+import { SECONDS_1900_TO_1970, oscMessage, oscBundle } from './osc.js';
+import { encodeWav } from './wav_encoder.js';
+import { MusicalClock } from './musical_clock.js';
+import { RhythmQuantizer } from './rhythm_quantizer.js';
+import { ProgressionEngine } from './progression.js';
+import { DEFAULT_LISTENER } from './spatializer.js';
+
+const SAMPLE_RATE = 48000; // scsynth's worklet initialises its memory at 48k
+const RENDER_QUANTUM = 128;
+const FEED_INTERVAL_FRAMES = RENDER_QUANTUM * 64;
+const LOOKAHEAD = 0.5;
+const PREROLL = 0.5; // Silence rendered (then trimmed) while synthdefs load
+
+// Renders a fixed-length performance faster than real time: the simulation is
+// stepped headless at FIXED_STEP, collisions become timestamped /s_new bundles,
+// and scsynth renders them inside an OfflineAudioContext. Renders are stereo,
+// heard from options.listener (see spatializer.js). Sample hits play their
+// synth voices, since samples live in the live engine's buffers.
+class OfflineRenderer {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.duration = options.duration || 60;
+    this.seed = options.seed ?? config.seed;
+    this.states = options.states || null;
+    this.listener = options.listener || DEFAULT_LISTENER;
+    this.CANNON = options.CANNON;
+    this.wasmUrl = options.wasmUrl || './dist/wasm/scsynth-nrt.wasm';
+    this.workletUrl = options.workletUrl || './dist/workers/scsynth_audio_worklet.js';
+    this.onProgress = options.onProgress || (() => {});
+  }
+
+  // Step the headless core for the whole duration and collect its collisions
+  collectEvents() {
+    const config = { ...this.config, seed: this.seed, fixedTimestep: true };
+    const core = new SimulationCore(config, { CANNON: this.CANNON });
+    const events = [];
+
+    core.on('collision', (event) => events.push(event));
+    core.init();
+    if (this.states) core.createSpheres(this.states);
+
+    const steps = Math.ceil(this.duration / FIXED_STEP);
+    for (let i = 0; i < steps; i++) core.stepOnce();
+    core.cleanup();
+
+    return events.filter(e => e.time < this.duration);
+  }
+
+  // Same debouncing, clock, slot policies and progression as live playback,
+  // with bar one at time zero
+  scheduleNotes(allEvents) {
+    const debouncer = new VoiceManager(this.config);
+    const events = allEvents.filter(event => collisionSounds(event, this.config) && !debouncer.debounce(event));
+    const sounds = events.map(event => collisionSoundParams(event, this.config, this.listener));
+    const clock = new MusicalClock(this.config);
+    const progression = new ProgressionEngine(this.config, clock);
+
+    let notes;
+    if (!clock.enabled) {
+      notes = sounds.map((params, i) => ({ time: events[i].time, params }));
+    } else {
+      const quantizer = new RhythmQuantizer(this.config, clock);
+      notes = [];
+      sounds.forEach((params, i) => {
+        const note = quantizer.place(params, events[i].time);
+        if (note && !note.merged) notes.push(note);
+      });
+    }
+
+    return notes.map(({ time, params }) => ({ time, params: progression.harmonize(params, time) }));
+  }
+
+  async render() {
+    const { SuperSonic } = await import('../dist/supersonic.js');
+    const encode = (packet) => SuperSonic.osc.encode(packet);
+
+    this.onProgress({ stage: 'simulating', progress: 0 });
+    const events = this.collectEvents();
+
+    const length = Math.ceil((this.duration + PREROLL) * SAMPLE_RATE);
+    const context = new OfflineAudioContext({ numberOfChannels: 2, length, sampleRate: SAMPLE_RATE });
+    const timeOffset = SECONDS_1900_TO_1970 + Date.now() / 1000;
+    const writer = await this.bootEngine(context, timeOffset);
+
+    // Everything scsynth needs, in order: synthdefs, the FX graph, then the
+    // timed notes. Voices and effects whose synthdefs fail to load fall back
+    // or are skipped, as they are live.
+    const notes = this.scheduleNotes(events);
+    const chain = fxChainOf(this.config);
+    const extraSynths = [...new Set([...notes.map(n => n.params.synth), ...fxSynthNames(chain)])]
+      .filter(name => !SYNTHDEFS.includes(name));
+    const loaded = new Set();
+    const queue = [];
+    for (const name of [...SYNTHDEFS, ...extraSynths]) {
+      const response = await fetch(`${SYNTHDEF_BASE_URL}${name}.scsyndef`);
+      if (!response.ok) {
+        if (SYNTHDEFS.includes(name)) throw new Error(`Failed to load synthdef ${name}: ${response.status}`);
+        console.warn(`[OfflineRenderer] Synthdef ${name} unavailable, using the group default`);
+        continue;
+      }
+      const data = new Uint8Array(await response.arrayBuffer());
+      queue.push({ sendAt: 0, data: encode(oscMessage(['/d_recv', data])) });
+      loaded.add(name);
+    }
+    const isLoaded = (name) => loaded.has(name);
+    const fx = planFxChain(chain, isLoaded);
+    [...groupMessages(), ...fx.messages].forEach(message => {
+      queue.push({ sendAt: 0, data: encode(oscMessage(message)) });
+    });
+
+    // Polyphony is enforced from the envelope lengths, there being no /n_end here
+    const voices = new VoiceManager(this.config);
+    notes.sort((a, b) => a.time - b.time).forEach(({ time, params }) => {
+      const voice = voices.allocate(params, time);
+      if (!voice) return;
+
+      const at = PREROLL + time;
+      const routing = { nodeId: voice.nodeId, group: SYNTH_GROUP, outBus: fx.buses[params.category] ?? 0 };
+      const messages = [
+        ...voice.steal.map(nodeId => ['/n_free', nodeId]),
+        collisionMessage(withAvailableSynth(params, isLoaded), routing)
+      ];
+      queue.push({ sendAt: at - LOOKAHEAD, data: encode(oscBundle(timeOffset + at, messages)) });
+    });
+    queue.sort((a, b) => a.sendAt - b.sendAt);
+
+    let next = 0;
+    const feed = (now) => {
+      while (next < queue.length && queue[next].sendAt <= now && writer.tryWrite(queue[next].data)) {
+        next++;
+      }
+    };
+
+    for (let frame = FEED_INTERVAL_FRAMES; frame < length; frame += FEED_INTERVAL_FRAMES) {
+      const time = frame / SAMPLE_RATE;
+      context.suspend(time).then(() => {
+        feed(time);
+        this.onProgress({ stage: 'rendering', progress: time / (length / SAMPLE_RATE) });
+        context.resume();
+      });
+    }
+
+    feed(0);
+    const rendered = await context.startRendering();
+    this.onProgress({ stage: 'done', progress: 1 });
+
+    const start = Math.round(PREROLL * SAMPLE_RATE);
+    return {
+      events,
+      channels: [0, 1].map(c => rendered.getChannelData(c).slice(start)),
+      sampleRate: SAMPLE_RATE
+    };
+  }
+
+  async renderToWav() {
+    const { channels, sampleRate } = await this.render();
+    return encodeWav(channels, sampleRate);
+  }
+
+  // Same worklet boot sequence as SuperSonic.init, minus the real-time OSC workers
+  async bootEngine(context, timeOffset) {
+    const wasmResponse = await fetch(this.wasmUrl);
+    if (!wasmResponse.ok) {
+      throw new Error(`Failed to load WASM: ${wasmResponse.status} ${wasmResponse.statusText}`);
+    }
+    const wasmBytes = await wasmResponse.arrayBuffer();
+
+    const wasmMemory = new WebAssembly.Memory({ initial: 512, maximum: 512, shared: true });
+    await context.audioWorklet.addModule(this.workletUrl);
+
+    const node = new AudioWorkletNode(context, 'scsynth-processor', {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2]
+    });
+    node.connect(context.destination);
+
+    const initialized = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('AudioWorklet initialization timeout')), 5000);
+      node.port.onmessage = ({ data }) => {
+        if (data.type === 'error') {
+          clearTimeout(timeout);
+          reject(new Error(data.error || 'AudioWorklet error'));
+        } else if (data.type === 'initialized') {
+          clearTimeout(timeout);
+          data.success ? resolve(data) : reject(new Error(data.error || 'AudioWorklet initialization failed'));
+        }
+      };
+    });
+
+    node.port.postMessage({ type: 'init', sharedBuffer: wasmMemory.buffer });
+    node.port.postMessage({ type: 'loadWasm', wasmBytes, wasmMemory, timeOffset });
+
+    const { ringBufferBase, bufferConstants } = await initialized;
+    return new RingBufferWriter(wasmMemory.buffer, ringBufferBase, bufferConstants);
+  }
+}
+
+export { OfflineRenderer };
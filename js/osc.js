@@ -0,0 +1,31 @@
+// Helpers for building OSC packets to pass to SuperSonic.osc.encode
+
+const SECONDS_1900_TO_1970 = 2208988800;
+
+// Same type inference as SuperSonic.send: integers -> i, other numbers -> f
+function typedArgs(args) {
+  return args.map(arg => {
+    if (typeof arg === 'string') return { type: 's', value: arg };
+    if (typeof arg === 'number') return { type: Number.isInteger(arg) ? 'i' : 'f', value: arg };
+    if (arg instanceof Uint8Array) return { type: 'b', value: arg };
+    if (arg instanceof ArrayBuffer) return { type: 'b', value: new Uint8Array(arg) };
+    throw new Error(`Unsupported argument type: ${typeof arg}`);
+  });
+}
+
+// ['/s_new', 'sonic-pi-beep', -1, ...] -> { address, args }
+function oscMessage([address, ...args]) {
+  return { address, args: typedArgs(args) };
+}
+
+function ntpTimeTag(ntpSeconds) {
+  const seconds = Math.floor(ntpSeconds);
+  const fraction = Math.round((ntpSeconds - seconds) * 4294967296);
+  return { raw: [seconds, Math.min(fraction, 4294967295)] };
+}
+
+function oscBundle(ntpSeconds, messages) {
+  return { timeTag: ntpTimeTag(ntpSeconds), packets: messages.map(oscMessage) };
+}
+
+export { SECONDS_1900_TO_1970, typedArgs, oscMessage, oscBundle, ntpTimeTag };
@@ -0,0 +1,151 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { downloadBlob } from './utils.js';
+
+const PRESET_VERSION = 2;
+const STORAGE_KEY = 'supersonic-cube.presets';
+
+// Settings that belong to this machine rather than the patch, so presets
+// neither save nor load them
+const LOCAL_CONFIG_KEYS = ['midiOutputId'];
+
+function withoutLocalKeys(config) {
+  const patch = { ...config };
+  LOCAL_CONFIG_KEYS.forEach(key => delete patch[key]);
+  return patch;
+}
+
+// Each entry upgrades a preset document from version `key` to `key + 1`.
+// Add a new entry (and bump PRESET_VERSION) whenever the document shape changes.
+const MIGRATIONS = {
+  0: (doc) => ({
+    // Unversioned documents were a bare config object with no sphere states
+    version: 1,
+    name: doc.name || 'Untitled',
+    savedAt: doc.savedAt || null,
+    config: doc,
+    spheres: []
+  }),
+  // Sphere polarity became a species: attract is species 0, repel species 1
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    spheres: (doc.spheres || []).map(({ isAttract, ...sphere }) => ({ ...sphere, species: isAttract ? 0 : 1 }))
+  })
+};
+
+function migratePreset(doc) {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Preset must be a JSON object');
+  }
+
+  let migrated = doc;
+  let version = Number.isInteger(doc.version) ? doc.version : 0;
+
+  if (version > PRESET_VERSION) {
+    throw new Error(`Preset version ${version} is newer than supported version ${PRESET_VERSION}`);
+  }
+
+  while (version < PRESET_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from preset version ${version}`);
+    migrated = migrate(migrated);
+    version = migrated.version;
+  }
+
+  // Fill in any config keys added since the preset was saved, and drop unknown ones
+  const config = {};
+  Object.keys(DEFAULT_CONFIG).forEach(key => {
+    config[key] = migrated.config && migrated.config[key] !== undefined
+      ? migrated.config[key]
+      : DEFAULT_CONFIG[key];
+  });
+
+  return { ...migrated, config, spheres: migrated.spheres || [] };
+}
+
+class PresetManager {
+  constructor(config, simulation, controls) {
+    this.config = config;
+    this.simulation = simulation;
+    this.controls = controls;
+  }
+
+  serialize(name) {
+    return {
+      version: PRESET_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      // Record the seed actually in use so random runs can be replayed too
+      config: withoutLocalKeys({ ...this.config, seed: this.config.seed ?? this.simulation.seed }),
+      spheres: this.simulation.spheres.map(s => s.serialize())
+    };
+  }
+
+  async apply(doc) {
+    const preset = migratePreset(doc);
+
+    Object.assign(this.config, withoutLocalKeys(preset.config));
+    this.simulation.updateContainer();
+    if (preset.spheres.length > 0) {
+      this.config.sphereCount = preset.spheres.length;
+      this.simulation.createSpheres(preset.spheres);
+    } else {
+      this.simulation.createSpheres();
+    }
+
+    this.controls.syncFromConfig();
+    // Starts the preset's outputs, as choosing them in the panel would
+    await this.controls.setOutputMode(this.config.outputMode);
+    console.log('[Presets] Loaded preset:', preset.name);
+    return preset;
+  }
+
+  readStorage() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('[Presets] Failed to read saved presets:', error);
+      return {};
+    }
+  }
+
+  writeStorage(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  list() {
+    return Object.keys(this.readStorage()).sort();
+  }
+
+  save(name) {
+    const presets = this.readStorage();
+    presets[name] = this.serialize(name);
+    this.writeStorage(presets);
+    return presets[name];
+  }
+
+  async load(name) {
+    const preset = this.readStorage()[name];
+    if (!preset) throw new Error(`No saved preset named "${name}"`);
+    return this.apply(preset);
+  }
+
+  remove(name) {
+    const presets = this.readStorage();
+    delete presets[name];
+    this.writeStorage(presets);
+  }
+
+  download(name) {
+    const json = JSON.stringify(this.serialize(name), null, 2);
+    const filename = `${name.replace(/[^a-z0-9-_]+/gi, '_') || 'preset'}.json`;
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+  }
+
+  async upload(file) {
+    const text = await file.text();
+    return this.apply(JSON.parse(text));
+  }
+}
+
+export { PresetManager, PRESET_VERSION, migratePreset };
@@ -0,0 +1,80 @@
+import { SCALES, CHORDS, PROGRESSIONS } from './config.js';
+import { quantizeToScale } from './utils.js';
+
+// Steps config.progression (a looping list of { root, scale, bars }) along the
+// MusicalClock's bars. Roots are semitones above config.rootNote, so
+// transposing with the rootNote control moves the whole progression.
+class ProgressionEngine {
+  constructor(config, clock) {
+    this.config = config;
+    this.clock = clock;
+  }
+
+  get steps() {
+    return this.config.progression || [];
+  }
+
+  totalBars() {
+    return this.steps.reduce((sum, step) => sum + step.bars, 0);
+  }
+
+  stepAt(time) {
+    const total = this.totalBars();
+    if (total <= 0) return null;
+
+    const bars = Math.max(0, time - this.clock.origin) / this.clock.barLength();
+    let bar = bars % total;
+    for (const step of this.steps) {
+      if (bar < step.bars) return step;
+      bar -= step.bars;
+    }
+    return this.steps[this.steps.length - 1];
+  }
+
+  // The { rootNote, currentScale, tuning } in force at `time` (on the clock's
+  // timeline). With a custom tuning the step's root still transposes, but its
+  // scale gives way to the tuning's degrees.
+  harmonyAt(time) {
+    const step = this.stepAt(time);
+    if (!step) return this.config;
+    return {
+      rootNote: this.config.rootNote + step.root,
+      currentScale: step.scale,
+      tuning: this.config.tuning
+    };
+  }
+
+  // Re-quantize a note for the moment it actually sounds, so notes scheduled
+  // ahead across a chord change land in the new chord
+  harmonize(params, time) {
+    if (!this.steps.length || params.rawNote === undefined) return params;
+    return { ...params, note: quantizeToScale(params.rawNote, this.harmonyAt(time)) };
+  }
+}
+
+// "0 Major Triad 1, 7 Dominant 7th 2" <-> [{ root, scale, bars }]
+function formatProgression(steps) {
+  return (steps || []).map(({ root, scale, bars }) => `${root} ${scale} ${bars}`).join(', ');
+}
+
+function parseProgression(text) {
+  const steps = text.split(',').map(s => s.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(-?\d+)\s+(.+?)\s+(\d+(?:\.\d+)?)$/);
+    if (!match) throw new Error(`Expected "root scale bars", got "${part}"`);
+
+    const [, root, scale, bars] = match;
+    if (!SCALES[scale] && !CHORDS[scale]) throw new Error(`Unknown scale or chord "${scale}"`);
+    if (Number(bars) <= 0) throw new Error(`Step "${part}" must last at least part of a bar`);
+    return { root: parseInt(root), scale, bars: Number(bars) };
+  });
+
+  return steps.length > 0 ? steps : null;
+}
+
+// Name of the built-in progression matching `steps`, if any
+function progressionName(steps) {
+  const text = formatProgression(steps);
+  return Object.keys(PROGRESSIONS).find(name => formatProgression(PROGRESSIONS[name]) === text) || null;
+}
+
+export { ProgressionEngine, formatProgression, parseProgression, progressionName };
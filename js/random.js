@@ -0,0 +1,17 @@
+// Small seedable PRNG (mulberry32) so a seed + config always replays the same piece
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+export { createRandom, randomSeed };
@@ -0,0 +1,108 @@
+import { AUDIO_CONSTANTS } from './config.js';
+
+// What happens when a second note of the same category lands on an occupied slot
+const SLOT_POLICIES = ['layer', 'drop', 'delay', 'merge'];
+
+// How far 'delay' will push a note looking for a free slot before giving up
+const MAX_DELAY_STEPS = 4;
+
+// Places collision sounds onto MusicalClock grid slots. Slots are tracked per
+// category so a wall hit and a sphere hit can share a step, and
+// config.densityLimit caps the notes each category plays per beat (0 = no cap).
+//
+// Placed notes stay mutable until they are sent, which is what lets 'merge'
+// fold later hits into a note that is already waiting for its slot.
+class RhythmQuantizer {
+  constructor(config, clock) {
+    this.config = config;
+    this.clock = clock;
+    this.slots = new Map(); // step -> Map(category -> note)
+    this.beatCounts = new Map(); // beat -> { category: count }
+  }
+
+  reset() {
+    this.slots.clear();
+    this.beatCounts.clear();
+  }
+
+  // Returns { step, time, params } for a newly placed note, { merged } when the
+  // sound was folded into an existing note, or null when it was dropped
+  place(params, earliest) {
+    const { category } = params;
+    let step = this.clock.stepAt(earliest);
+    this.prune(step);
+
+    const occupant = this.slotNote(step, category);
+    if (occupant) {
+      switch (this.config.slotPolicy) {
+        case 'drop':
+          return null;
+        case 'merge':
+          this.merge(occupant.params, params);
+          return { merged: occupant };
+        case 'delay':
+          step = this.findFreeStep(step, category);
+          if (step === null) return null;
+          break;
+      }
+    }
+
+    if (this.overDensityLimit(step, category)) return null;
+
+    const note = { step, time: this.clock.stepTime(step), params: { ...params } };
+    this.add(note, category);
+    return note;
+  }
+
+  slotNote(step, category) {
+    return this.slots.get(step)?.get(category) || null;
+  }
+
+  findFreeStep(step, category) {
+    for (let next = step + 1; next <= step + MAX_DELAY_STEPS; next++) {
+      if (!this.slotNote(next, category)) return next;
+    }
+    return null;
+  }
+
+  overDensityLimit(step, category) {
+    const limit = this.config.densityLimit;
+    if (!limit) return false;
+    const counts = this.beatCounts.get(this.clock.beatOf(step));
+    return (counts?.[category] || 0) >= limit;
+  }
+
+  add(note, category) {
+    if (!this.slots.has(note.step)) this.slots.set(note.step, new Map());
+    // With 'layer' the slot only remembers the latest note, which is all merge needs
+    this.slots.get(note.step).set(category, note);
+
+    const beat = this.clock.beatOf(note.step);
+    const counts = this.beatCounts.get(beat) || {};
+    counts[category] = (counts[category] || 0) + 1;
+    this.beatCounts.set(beat, counts);
+  }
+
+  // The louder hit sets pitch and position; amplitudes add up to an accent
+  merge(target, params) {
+    if (params.amp > target.amp) {
+      target.rawNote = params.rawNote;
+      target.note = params.note;
+      target.pan = params.pan;
+    }
+    target.amp = Math.min(AUDIO_CONSTANTS.MAX_AMP, target.amp + params.amp);
+  }
+
+  // Forget slots and beats that are already in the past
+  prune(step) {
+    for (const key of this.slots.keys()) {
+      if (key < step) this.slots.delete(key);
+    }
+    const beat = this.clock.beatOf(step);
+    for (const key of this.beatCounts.keys()) {
+      if (key < beat) this.beatCounts.delete(key);
+    }
+  }
+}
+
+export { RhythmQuantizer, SLOT_POLICIES };
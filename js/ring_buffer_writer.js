@@ -0,0 +1,52 @@
+// Non-blocking writer for scsynth's IN ring buffer, following the same message
+// layout as dist/workers/osc_out_worker.js. Used where there is no OSC worker,
+// e.g. when driving the worklet from an OfflineAudioContext.
+class RingBufferWriter {
+  constructor(sharedBuffer, ringBufferBase, bufferConstants) {
+    this.ringBufferBase = ringBufferBase;
+    this.constants = bufferConstants;
+    this.atomicView = new Int32Array(sharedBuffer);
+    this.dataView = new DataView(sharedBuffer);
+    this.uint8View = new Uint8Array(sharedBuffer);
+    this.headIndex = (ringBufferBase + bufferConstants.CONTROL_START + 0) / 4;
+    this.tailIndex = (ringBufferBase + bufferConstants.CONTROL_START + 4) / 4;
+    this.sequence = 0;
+  }
+
+  // Returns false when there is not enough free space; try again later
+  tryWrite(oscData) {
+    const c = this.constants;
+    const totalSize = c.MESSAGE_HEADER_SIZE + oscData.length;
+
+    if (totalSize > c.IN_BUFFER_SIZE - c.MESSAGE_HEADER_SIZE) {
+      throw new Error(`OSC message too large for ring buffer: ${totalSize} bytes`);
+    }
+
+    let head = Atomics.load(this.atomicView, this.headIndex);
+    const tail = Atomics.load(this.atomicView, this.tailIndex);
+    const available = (c.IN_BUFFER_SIZE - 1 - head + tail) % c.IN_BUFFER_SIZE;
+    if (available < totalSize) return false;
+
+    if (totalSize > c.IN_BUFFER_SIZE - head) {
+      // Won't fit before the end - write a padding marker and wrap
+      const paddingPos = this.ringBufferBase + c.IN_BUFFER_START + head;
+      this.dataView.setUint32(paddingPos, c.PADDING_MAGIC, true);
+      this.dataView.setUint32(paddingPos + 4, 0, true);
+      this.dataView.setUint32(paddingPos + 8, 0, true);
+      this.dataView.setUint32(paddingPos + 12, 0, true);
+      head = 0;
+    }
+
+    const writePos = this.ringBufferBase + c.IN_BUFFER_START + head;
+    this.dataView.setUint32(writePos, c.MESSAGE_MAGIC, true);
+    this.dataView.setUint32(writePos + 4, totalSize, true);
+    this.dataView.setUint32(writePos + 8, 1, true); // type=OSC
+    this.dataView.setUint32(writePos + 12, this.sequence++, true);
+    this.uint8View.set(oscData, writePos + c.MESSAGE_HEADER_SIZE);
+
+    Atomics.store(this.atomicView, this.headIndex, (head + totalSize) % c.IN_BUFFER_SIZE);
+    return true;
+  }
+}
+
+export { RingBufferWriter };
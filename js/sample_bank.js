@@ -0,0 +1,148 @@
+// Samples loaded into scsynth buffers for sample playback mode. Buffers live
+// in scsynth's share of the 32MB WASM memory, so the bank keeps their total
+// under config.sampleMemoryLimit (MB) by evicting the least recently played
+// unassigned samples, and reuses the buffer numbers of freed ones.
+
+const MAX_BUFFERS = 1024; // scsynth's default number of buffers
+const BYTES_PER_SAMPLE = 4;
+
+// Sonic Pi's players, by channel count
+const SAMPLE_PLAYERS = {
+  1: 'sonic-pi-basic_mono_player',
+  2: 'sonic-pi-basic_stereo_player'
+};
+
+// Playback rate that sounds `note` from a sample recorded at `rootNote`
+function noteToRate(note, rootNote) {
+  return 2 ** ((note - rootNote) / 12);
+}
+
+class SampleBank {
+  constructor(config) {
+    this.config = config;
+    this.sonic = null;
+    this.samples = new Map(); // name -> { name, bufnum, frames, channels, duration, bytes, lastUsed }
+    this.freeBufnums = [];
+    this.nextBufnum = 0;
+  }
+
+  // Buffers belong to one running engine; a new engine starts an empty bank
+  attach(sonic) {
+    this.reset();
+    this.sonic = sonic;
+  }
+
+  get bytesUsed() {
+    let total = 0;
+    this.samples.forEach(sample => { total += sample.bytes; });
+    return total;
+  }
+
+  get limitBytes() {
+    return this.config.sampleMemoryLimit * 1024 * 1024;
+  }
+
+  has(name) {
+    return this.samples.has(name);
+  }
+
+  list() {
+    return [...this.samples.values()];
+  }
+
+  allocateBufnum() {
+    if (this.freeBufnums.length > 0) return this.freeBufnums.pop();
+    if (this.nextBufnum >= MAX_BUFFERS) throw new Error('No free sample buffers');
+    return this.nextBufnum++;
+  }
+
+  isAssigned(name) {
+    return Object.values(this.config.sampleAssignments || {}).includes(name);
+  }
+
+  // Free least recently played samples until `bytes` more fit under the limit
+  async makeRoom(bytes) {
+    if (bytes > this.limitBytes) {
+      throw new Error(`Sample needs ${(bytes / 1048576).toFixed(1)}MB, over the ${this.config.sampleMemoryLimit}MB limit`);
+    }
+    const candidates = this.list()
+      .filter(sample => !this.isAssigned(sample.name))
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    while (this.bytesUsed + bytes > this.limitBytes) {
+      const victim = candidates.shift();
+      if (!victim) throw new Error('Sample memory is full of assigned samples; free one first');
+      console.log(`[Samples] Evicting ${victim.name} to make room`);
+      await this.free(victim.name);
+    }
+  }
+
+  // Decode `source` (URL, bytes or File) and load it under `name`, replacing
+  // any sample already loaded with that name
+  async load(name, source) {
+    if (!this.sonic) throw new Error('Start audio before loading samples');
+
+    const decoded = await this.sonic.decodeSample(source);
+    if (!SAMPLE_PLAYERS[decoded.channels]) {
+      throw new Error(`${name} has ${decoded.channels} channels; only mono and stereo samples can play`);
+    }
+    if (this.samples.has(name)) await this.free(name);
+
+    const bytes = decoded.samples.length * BYTES_PER_SAMPLE;
+    await this.makeRoom(bytes);
+
+    const bufnum = this.allocateBufnum();
+    try {
+      await this.sonic.allocBuffer(bufnum, decoded.frames, decoded.channels);
+      await this.sonic.writeBuffer(bufnum, decoded.samples);
+    } catch (error) {
+      this.freeBufnums.push(bufnum);
+      throw error;
+    }
+
+    const sample = {
+      name,
+      bufnum,
+      frames: decoded.frames,
+      channels: decoded.channels,
+      duration: decoded.duration,
+      bytes,
+      lastUsed: performance.now()
+    };
+    this.samples.set(name, sample);
+    console.log(`[Samples] Loaded ${name} into buffer ${bufnum} (${(bytes / 1048576).toFixed(2)}MB)`);
+    return sample;
+  }
+
+  async free(name) {
+    const sample = this.samples.get(name);
+    if (!sample) return;
+    this.samples.delete(name);
+    if (this.sonic) await this.sonic.freeBuffer(sample.bufnum);
+    this.freeBufnums.push(sample.bufnum);
+  }
+
+  // A hit on a loaded sample plays it through a player instead of its synth,
+  // pitched so config.sampleRootNote plays at the original rate. Hits on
+  // samples that aren't loaded keep the synth.
+  playerParams(params) {
+    const sample = params.sample && this.samples.get(params.sample);
+    if (!sample) return params;
+
+    sample.lastUsed = performance.now();
+    return {
+      ...params,
+      synth: SAMPLE_PLAYERS[sample.channels],
+      buf: sample.bufnum,
+      rate: noteToRate(params.note, this.config.sampleRootNote)
+    };
+  }
+
+  reset() {
+    this.samples.clear();
+    this.freeBufnums = [];
+    this.nextBufnum = 0;
+    this.sonic = null;
+  }
+}
+
+export { SampleBank, SAMPLE_PLAYERS, noteToRate };
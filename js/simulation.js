@@ -1,5 +1,6 @@
 import { loadExternalLibrary } from "./utils.js";
-import { Sphere } from "./sphere.js";
+import { SphereView } from "./sphere_view.js";
+import { SimulationCore } from "./simulation_core.js";
 import { AudioInterface } from "./audio_interface.js";
 
 // Load libraries
@@ -22,15 +23,16 @@ class Simulation {
     this.canvas = canvas;
     this.config = config;
     this.isPlaying = false;
-    this.spheres = [];
-    this.audioInterface = new AudioInterface();
+    this.core = new SimulationCore(config);
+    this.views = [];
+    this.containerView = null;
+    this.audioInterface = new AudioInterface(config);
   }
 
   async init() {
     await loadLibraries();
 
     const THREE = window.THREE;
-    const CANNON = window.CANNON;
 
     // Scene setup
     this.scene = new THREE.Scene();
@@ -71,64 +73,13 @@ class Simulation {
     directionalLight2.position.set(-10, -10, -5);
     this.scene.add(directionalLight2);
 
-    // Physics world
-    this.world = new CANNON.World({
-      gravity: new CANNON.Vec3(0, 0, 0)
-    });
-    this.world.defaultContactMaterial.restitution = 0.8;
-
-    // Glass-like cube container
-    const cubeSize = this.config.cubeSize;
-    const cubeGeometry = new THREE.BoxGeometry(cubeSize, cubeSize, cubeSize);
-    const cubeMaterial = new THREE.MeshPhysicalMaterial({
-      color: 0x88ccff,
-      transparent: true,
-      opacity: 0.1,
-      metalness: 0.1,
-      roughness: 0.1,
-      transmission: 0.9,
-      thickness: 0.5,
-      envMapIntensity: 1,
-      side: THREE.BackSide
-    });
-    const cubeMesh = new THREE.Mesh(cubeGeometry, cubeMaterial);
-    this.scene.add(cubeMesh);
-
-    // Cube edges
-    const edgesGeometry = new THREE.EdgesGeometry(cubeGeometry);
-    const edgesMaterial = new THREE.LineBasicMaterial({
-      color: 0x4488ff,
-      transparent: true,
-      opacity: 0.3
-    });
-    const cubeEdges = new THREE.LineSegments(edgesGeometry, edgesMaterial);
-    this.scene.add(cubeEdges);
-
-    // Create cube walls for physics
-    const halfExtents = cubeSize / 2;
-    const wallThickness = 0.1;
-    const walls = [
-      { pos: [0, halfExtents, 0], rot: [0, 0, 0] },
-      { pos: [0, -halfExtents, 0], rot: [0, 0, 0] },
-      { pos: [halfExtents, 0, 0], rot: [0, 0, Math.PI / 2] },
-      { pos: [-halfExtents, 0, 0], rot: [0, 0, Math.PI / 2] },
-      { pos: [0, 0, halfExtents], rot: [Math.PI / 2, 0, 0] },
-      { pos: [0, 0, -halfExtents], rot: [Math.PI / 2, 0, 0] }
-    ];
-
-    const wallShape = new CANNON.Box(new CANNON.Vec3(cubeSize / 2, wallThickness, cubeSize / 2));
-    walls.forEach(wall => {
-      const wallBody = new CANNON.Body({
-        mass: 0,
-        shape: wallShape,
-        position: new CANNON.Vec3(wall.pos[0], wall.pos[1], wall.pos[2])
-      });
-      wallBody.quaternion.setFromEuler(wall.rot[0], wall.rot[1], wall.rot[2]);
-      this.world.addBody(wallBody);
-    });
-
-    // Create spheres
-    this.createSpheres();
+    // Physics world, walls and spheres
+    this.core.on('reset', () => this.createViews());
+    this.core.on('collision', (event) => this.views[event.sphereId]?.flashCollision(event.velocity));
+    this.core.on('flip', (event) => this.views[event.sphereId]?.updateSpecies());
+    this.audioInterface.subscribe(this.core);
+    this.core.init();
+    this.createContainerView();
 
     this.handleResize = () => {
       // Use visualViewport if available (better for mobile)
@@ -148,41 +99,73 @@ class Simulation {
     this.animate();
   }
 
-  createSpheres() {
-    this.spheres.forEach(s => s.cleanup(this.world, this.scene));
-    this.spheres = [];
+  get spheres() {
+    return this.core.spheres;
+  }
 
-    for (let i = 0; i < this.config.sphereCount; i++) {
-      const isAttract = i < this.config.sphereCount / 2;
-      this.spheres.push(new Sphere(this.world, this.scene, this.config.sphereRadius, isAttract, this.config, this.audioInterface));
-    }
+  get seed() {
+    return this.core.seed;
   }
 
-  applyForces() {
-    for (let i = 0; i < this.spheres.length; i++) {
-      for (let j = i + 1; j < this.spheres.length; j++) {
-        const s1 = this.spheres[i];
-        const s2 = this.spheres[j];
+  createSpheres(states = null) {
+    this.core.createSpheres(states);
+  }
 
-        const diff = s2.body.position.vsub(s1.body.position);
-        const distance = diff.length();
+  // Glass-like container with its edges, drawn from the same faces the
+  // spheres bounce off. It's scaled to follow the walls while they move.
+  createContainerView() {
+    const THREE = window.THREE;
+    if (this.containerView) {
+      this.scene.remove(this.containerView);
+      this.containerView.children.forEach(child => child.geometry.dispose());
+    }
+
+    const container = this.core.wallContainer;
+    const glassGeometry = new THREE.BufferGeometry();
+    glassGeometry.setAttribute('position', new THREE.Float32BufferAttribute(container.trianglePositions(this.config), 3));
+    glassGeometry.computeVertexNormals();
+    this.glassMaterial ||= new THREE.MeshPhysicalMaterial({
+      color: 0x88ccff,
+      transparent: true,
+      opacity: 0.1,
+      metalness: 0.1,
+      roughness: 0.1,
+      transmission: 0.9,
+      thickness: 0.5,
+      envMapIntensity: 1,
+      side: THREE.BackSide
+    });
 
-        if (distance > this.config.maxDistance) continue;
-        if (distance < 0.01) continue;
+    const edgesGeometry = new THREE.BufferGeometry();
+    edgesGeometry.setAttribute('position', new THREE.Float32BufferAttribute(container.edgePositions(), 3));
+    this.edgesMaterial ||= new THREE.LineBasicMaterial({
+      color: 0x4488ff,
+      transparent: true,
+      opacity: 0.3
+    });
 
-        const forceMagnitude = this.config.forceStrength / (distance * distance);
-        const forceDir = diff.unit();
+    this.containerView = new THREE.Group();
+    this.containerView.add(new THREE.Mesh(glassGeometry, this.glassMaterial));
+    this.containerView.add(new THREE.LineSegments(edgesGeometry, this.edgesMaterial));
+    this.scene.add(this.containerView);
+  }
 
-        const s1Force = s1.isAttract ? 1 : -1;
-        const s2Force = s2.isAttract ? 1 : -1;
-        const combinedForce = s1Force * s2Force;
+  // After the container's shape, mesh or faces change in the panel
+  updateContainer() {
+    this.core.createWalls();
+    this.views.forEach(v => v.update());
+    this.createContainerView();
+  }
 
-        const force = forceDir.scale(forceMagnitude * combinedForce);
+  // After species are edited in the panel
+  updateSpecies() {
+    this.core.applySpecies();
+    this.views.forEach(v => v.updateSpecies());
+  }
 
-        s1.body.applyForce(force, s1.body.position);
-        s2.body.applyForce(force.negate(), s2.body.position);
-      }
-    }
+  createViews() {
+    this.views.forEach(v => v.cleanup(this.scene));
+    this.views = this.core.spheres.map(s => new SphereView(this.scene, s));
   }
 
   animate() {
@@ -193,26 +176,30 @@ class Simulation {
     this.lastTime = currentTime;
 
     if (this.isPlaying) {
-      this.applyForces();
-      this.world.step(1 / 60, deltaTime, 3);
-      this.spheres.forEach(s => {
-        s.update();
-        s.updateFlipTimer(deltaTime);
-      });
+      this.core.step(deltaTime);
+      this.views.forEach(v => v.update());
     }
+    this.containerView.scale.setScalar(this.core.containerScale);
 
     this.controls.update();
     this.renderer.render(this.scene, this.camera);
+    this.audioInterface.setListener(this.camera);
     requestAnimationFrame(() => this.animate());
   }
 
   togglePlay() {
     this.isPlaying = !this.isPlaying;
+    if (this.isPlaying) {
+      this.audioInterface.resume();
+    } else {
+      this.audioInterface.pause();
+    }
   }
 
   cleanup() {
     window.removeEventListener('resize', this.handleResize);
-    this.spheres.forEach(s => s.cleanup(this.world, this.scene));
+    this.views.forEach(v => v.cleanup(this.scene));
+    this.core.cleanup();
     this.renderer.dispose();
   }
 }
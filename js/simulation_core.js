@@ -0,0 +1,411 @@
+import { Sphere } from "./sphere.js";
+import { createRandom, randomSeed } from "./random.js";
+import { SpatialGrid } from "./spatial_grid.js";
+import { FORCE_MODELS, pairModelOf, forceFieldsOf, forceParamsOf } from "./force_models.js";
+import { speciesOf, interactionMatrixOf, initialSpecies } from "./species.js";
+import { WALL_THICKNESS, containerOf, faceSettings } from "./container.js";
+
+const FIXED_STEP = 1 / 60;
+const MAX_FIXED_STEPS_PER_FRAME = 5;
+const CONTAINER_RESIZE_RATE = 10; // How fast the walls move to a new cubeSize, in units per second
+
+// Headless physics: CANNON world, container walls, pair forces and flip timers.
+// Has no THREE or DOM dependency so it can run in Node, a Worker or tests:
+//
+//   const core = new SimulationCore(config, { CANNON });
+//   core.on('collision', (event) => console.log(event));
+//   core.init();
+//   for (let i = 0; i < 600; i++) core.step(1 / 60);
+//
+// CANNON defaults to the global loaded by the page when not passed in.
+//
+// Events (all plain data):
+//   collision - { time, sphereId, otherId, hitWall, face, species, isAttract, velocity,
+//                 position, normal, sinceLastHit }
+//               face is the container face group hit (see container.js), or null;
+//               normal points out of the sphere; sinceLastHit is null on its first hit
+//   flip      - { time, sphereId, species, isAttract }, when a sphere changes species
+//   frame     - { time } once per step() call, after the physics has advanced
+//   reset     - { seed, spheres }
+class SimulationCore {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.options = options;
+    this.CANNON = null;
+    this.world = null;
+    this.spheres = [];
+    this.listeners = {};
+    this.seed = null;
+    this.random = null;
+    this.time = 0;
+    this.stepAccumulator = 0;
+    this.stepCount = 0;
+    this.lastHitTimes = new Map(); // sphereId -> time of its last collision
+    this.positions = []; // each sphere's body position, in sphere order
+    this.sphereByBody = new Map();
+    this.walls = [];
+    this.wallContainer = null; // the container the walls were built from, at wallSize
+    this.wallSize = null;
+    this.wallFaces = []; // index into wallContainer's faces of each wall
+    this.faceByWall = new Map(); // wall body -> its container face group
+    this.containerSize = null; // where the walls are, on their way to config.cubeSize
+    this.sphereMaterial = null;
+    this.wallMaterials = new Map(); // "restitution/friction" overrides -> wall material and contact
+    this.grid = new SpatialGrid();
+    this.pairLaw = null; // the pair law and its params, resolved each step
+    this.pairParams = null;
+    this.interactions = null; // species interaction matrix, resolved each step
+    this.applyPairForce = this.applyPairForce.bind(this);
+  }
+
+  init() {
+    this.CANNON = this.options.CANNON || globalThis.CANNON;
+    if (!this.CANNON) throw new Error('SimulationCore requires CANNON');
+
+    const CANNON = this.CANNON;
+
+    this.world = new CANNON.World({
+      gravity: new CANNON.Vec3(0, 0, 0)
+    });
+    // Sweep and prune keeps contact detection from testing every pair
+    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+    // Spheres share a material so faces with their own restitution or
+    // friction can pair a contact material with it
+    this.sphereMaterial = new CANNON.Material('sphere');
+
+    this.createSpheres();
+    this.applyPhysicsParams();
+  }
+
+  // How much the walls have been scaled from wallContainer while moving
+  // to a new size. Scaling the one container keeps a resize from building a
+  // new one every step.
+  get containerScale() {
+    return this.containerSize / this.wallSize;
+  }
+
+  // Each face of the container (see container.js) is a plane facing in,
+  // where the inner face of a WALL_THICKNESS thick wall would be; open faces
+  // get none. Sphere-plane contacts are far cheaper than sphere-box ones,
+  // which matters once hundreds of spheres crowd the walls. Safe to call
+  // again after the container changes: spheres left outside move back in.
+  createWalls() {
+    const CANNON = this.CANNON;
+    const container = containerOf(this.config);
+    this.wallContainer = container;
+    this.wallSize = this.config.cubeSize;
+
+    this.walls.forEach(wall => this.world.removeBody(wall));
+    this.faceByWall.clear();
+    this.wallFaces = [];
+
+    const planeNormal = new CANNON.Vec3(0, 0, 1);
+    this.walls = [];
+    container.faces.forEach(({ group, normal }, index) => {
+      const settings = faceSettings(group, this.config);
+      if (settings.open) return;
+
+      const wallBody = new CANNON.Body({
+        mass: 0,
+        shape: this.facePlane(),
+        material: this.wallMaterial(settings)
+      });
+      wallBody.quaternion.setFromVectors(planeNormal, new CANNON.Vec3(...normal));
+      this.world.addBody(wallBody);
+      this.faceByWall.set(wallBody, group);
+      this.walls.push(wallBody);
+      this.wallFaces.push(index);
+    });
+    this.placeWalls();
+
+    this.spheres.forEach(s => this.containSphere(s));
+  }
+
+  // Moves each wall to its face of the container at its current size
+  placeWalls() {
+    const container = this.wallContainer;
+    const scale = this.containerScale;
+    this.walls.forEach((wall, i) => {
+      const { point, normal, polygon } = container.faces[this.wallFaces[i]];
+      const reach = Math.max(...polygon.map(v => Math.hypot(v[0] - point[0], v[1] - point[1], v[2] - point[2])));
+      wall.shapes[0].boundingSphereRadius = (reach + container.extent / 4) * scale;
+      wall.updateBoundingRadius();
+      wall.position.set(
+        point[0] * scale + normal[0] * WALL_THICKNESS,
+        point[1] * scale + normal[1] * WALL_THICKNESS,
+        point[2] * scale + normal[2] * WALL_THICKNESS
+      );
+      wall.aabbNeedsUpdate = true;
+    });
+  }
+
+  // The walls move towards config.cubeSize at CONTAINER_RESIZE_RATE rather
+  // than jumping, so a smaller container squeezes the spheres in
+  resizeContainer(deltaTime) {
+    const target = this.config.cubeSize;
+    if (this.containerSize === target) return;
+
+    const change = CONTAINER_RESIZE_RATE * deltaTime;
+    this.containerSize = Math.abs(target - this.containerSize) <= change
+      ? target
+      : this.containerSize + Math.sign(target - this.containerSize) * change;
+    this.placeWalls();
+  }
+
+  // A plane the broadphase only pairs with bodies within its bounding
+  // radius (set by placeWalls) of its centre. CANNON's planes are infinite,
+  // so every sphere would otherwise be tested against every face of a
+  // many-faced container each step. The AABB has to match the bounding
+  // sphere for sweep and prune's sorting to hold.
+  facePlane() {
+    const shape = new this.CANNON.Plane();
+    shape.updateBoundingSphereRadius = () => {};
+    shape.calculateWorldAABB = (position, quaternion, min, max) => {
+      const radius = shape.boundingSphereRadius;
+      min.set(position.x - radius, position.y - radius, position.z - radius);
+      max.set(position.x + radius, position.y + radius, position.z + radius);
+    };
+    return shape;
+  }
+
+  // Faces with the world's defaults share no material, so their contacts use
+  // the default contact material. CANNON can't remove contact materials, so
+  // each pair of overrides gets one that's reused from then on; a null
+  // override follows the config (see applyPhysicsParams).
+  wallMaterial({ restitution, friction }) {
+    if (restitution === null && friction === null) return null;
+
+    const CANNON = this.CANNON;
+    const key = `${restitution}/${friction}`;
+    if (!this.wallMaterials.has(key)) {
+      const material = new CANNON.Material(`wall ${key}`);
+      const contact = new CANNON.ContactMaterial(this.sphereMaterial, material, {
+        restitution: restitution ?? this.config.restitution,
+        friction: friction ?? this.config.friction
+      });
+      this.world.addContactMaterial(contact);
+      this.wallMaterials.set(key, { material, contact, restitution, friction });
+    }
+    return this.wallMaterials.get(key).material;
+  }
+
+  // Contact, damping and gravity settings are read from the config every
+  // step, so they can change while the simulation runs
+  applyPhysicsParams() {
+    const { restitution, friction, linearDamping, gravity } = this.config;
+    const defaults = this.world.defaultContactMaterial;
+    defaults.restitution = restitution;
+    defaults.friction = friction;
+    this.wallMaterials.forEach(wall => {
+      wall.contact.restitution = wall.restitution ?? restitution;
+      wall.contact.friction = wall.friction ?? friction;
+    });
+    this.world.gravity.set(0, -gravity, 0);
+    for (let i = 0; i < this.spheres.length; i++) this.spheres[i].body.linearDamping = linearDamping;
+  }
+
+  // Puts a sphere that's wholly outside the container back in at random,
+  // keeping its velocity. Depths scale with the container, so the scaled
+  // walls are checked by scaling the position down to wallContainer's.
+  containSphere(sphere) {
+    const scale = this.containerScale;
+    const { x, y, z } = sphere.body.position;
+    if (this.wallContainer.depth(x / scale, y / scale, z / scale) * scale >= -sphere.radius) return;
+    const [px, py, pz] = this.wallContainer.randomPoint(this.random, (sphere.radius * 2) / scale);
+    sphere.body.position.set(px * scale, py * scale, pz * scale);
+  }
+
+  createSpheres(states = null) {
+    this.spheres.forEach(s => s.cleanup(this.world));
+    this.spheres = [];
+
+    // Every rebuild restarts the random sequence so a fixed seed replays identically
+    this.seed = this.config.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
+    this.time = 0;
+    this.stepAccumulator = 0;
+    this.stepCount = 0;
+    this.lastHitTimes.clear();
+    // New spheres are placed for the config's container, so the walls go
+    // straight there, rebuilt in case its shape changed too
+    this.containerSize = this.config.cubeSize;
+    this.createWalls();
+
+    const count = states ? states.length : this.config.sphereCount;
+    for (let i = 0; i < count; i++) {
+      const state = states ? states[i] : null;
+      const sphere = new Sphere(this.CANNON, this.world, i, initialSpecies(i, count, this.config), this.config, this.random, state);
+      sphere.body.material = this.sphereMaterial;
+      sphere.body.addEventListener('collide', (e) => this.onCollision(sphere, e));
+      this.spheres.push(sphere);
+    }
+    this.positions = this.spheres.map(s => s.body.position);
+    this.sphereByBody = new Map(this.spheres.map(s => [s.body, s]));
+
+    this.emit('reset', { seed: this.seed, spheres: this.spheres });
+  }
+
+  onCollision(sphere, event) {
+    const velocity = Math.abs(event.contact.getImpactVelocityAlongNormal());
+    const hitWall = event.body.mass === 0;
+    const other = hitWall ? null : this.sphereByBody.get(event.body);
+    const { x, y, z } = sphere.body.position;
+    // The contact normal runs from bi to bj
+    const { ni, bi } = event.contact;
+    const sign = bi === sphere.body ? 1 : -1;
+    const lastHit = this.lastHitTimes.get(sphere.id);
+    this.lastHitTimes.set(sphere.id, this.time);
+
+    this.emit('collision', {
+      time: this.time,
+      sphereId: sphere.id,
+      otherId: other ? other.id : null,
+      hitWall,
+      face: hitWall ? this.faceByWall.get(event.body) ?? null : null,
+      species: sphere.species,
+      isAttract: sphere.isAttract,
+      velocity,
+      position: [x, y, z],
+      normal: [ni.x * sign, ni.y * sign, ni.z * sign],
+      sinceLastHit: lastHit === undefined ? null : this.time - lastHit
+    });
+  }
+
+  // The pair law within config.maxDistance, then any fields (see
+  // force_models.js). The grid limits the pairs visited to nearby ones, and
+  // forces are added straight to each body (what applyForce at the centre
+  // does) so a step allocates no vectors.
+  applyForces() {
+    const model = pairModelOf(this.config);
+    this.pairLaw = FORCE_MODELS[model].pair;
+    this.pairParams = forceParamsOf(model, this.config);
+    this.interactions = interactionMatrixOf(this.config);
+    this.grid.rebuild(this.positions, this.wallContainer.extent * this.containerScale, this.config.maxDistance);
+    this.grid.forEachPair(this.applyPairForce);
+
+    forceFieldsOf(this.config).forEach(name => {
+      const { field } = FORCE_MODELS[name];
+      const params = forceParamsOf(name, this.config);
+      for (let i = 0; i < this.spheres.length; i++) field(this.spheres[i].body, params);
+    });
+  }
+
+  applyPairForce(i, j) {
+    const s1 = this.spheres[i];
+    const s2 = this.spheres[j];
+    const p1 = s1.body.position;
+    const p2 = s2.body.position;
+
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const dz = p2.z - p1.z;
+    const distanceSquared = dx * dx + dy * dy + dz * dz;
+    const maxDistance = this.config.maxDistance;
+
+    if (distanceSquared > maxDistance * maxDistance) return;
+    if (distanceSquared < 0.0001) return;
+
+    // Each sphere feels the law's force along the line to the other, scaled
+    // by how its species reacts to the other's; the law only runs twice
+    // when the matrix is asymmetric for these two
+    const distance = Math.sqrt(distanceSquared);
+    const strength = this.config.forceStrength;
+    const k12 = this.interactions[s1.species][s2.species];
+    const k21 = this.interactions[s2.species][s1.species];
+    const scale1 = this.pairLaw(distance, k12, strength, this.pairParams) / distance;
+    const scale2 = k21 === k12 ? scale1 : this.pairLaw(distance, k21, strength, this.pairParams) / distance;
+
+    const f1 = s1.body.force;
+    const f2 = s2.body.force;
+    f1.x += dx * scale1;
+    f1.y += dy * scale1;
+    f1.z += dz * scale1;
+    f2.x -= dx * scale2;
+    f2.y -= dy * scale2;
+    f2.z -= dz * scale2;
+  }
+
+  step(deltaTime) {
+    if (this.config.fixedTimestep) {
+      this.stepFixed(deltaTime);
+    } else {
+      this.resizeContainer(deltaTime);
+      this.applyPhysicsParams();
+      this.applyForces();
+      this.time += deltaTime;
+      this.world.step(FIXED_STEP, deltaTime, 3);
+      this.containEscaped();
+      this.updateFlipTimers(deltaTime);
+    }
+    this.emit('frame', { time: this.time });
+  }
+
+  // Advance in whole FIXED_STEP increments only, so the same seed always yields
+  // the same sequence of steps (and collisions) regardless of frame rate.
+  // Time beyond MAX_FIXED_STEPS_PER_FRAME is dropped rather than simulated.
+  stepFixed(deltaTime) {
+    this.stepAccumulator = Math.min(
+      this.stepAccumulator + deltaTime,
+      FIXED_STEP * MAX_FIXED_STEPS_PER_FRAME
+    );
+
+    while (this.stepAccumulator >= FIXED_STEP) {
+      this.stepOnce();
+      this.stepAccumulator -= FIXED_STEP;
+    }
+  }
+
+  // A single fixed step, for callers driving the clock themselves (offline, tests)
+  stepOnce() {
+    this.resizeContainer(FIXED_STEP);
+    this.applyPhysicsParams();
+    this.applyForces();
+    this.time = (this.stepCount + 1) * FIXED_STEP;
+    this.world.step(FIXED_STEP);
+    this.containEscaped();
+    this.updateFlipTimers(FIXED_STEP);
+    this.stepCount++;
+  }
+
+  // Only open containers let spheres out
+  containEscaped() {
+    if (!this.wallContainer.isOpen(this.config)) return;
+    for (let i = 0; i < this.spheres.length; i++) this.containSphere(this.spheres[i]);
+  }
+
+  updateFlipTimers(deltaTime) {
+    this.spheres.forEach(s => {
+      if (s.updateFlipTimer(deltaTime)) {
+        this.emit('flip', { time: this.time, sphereId: s.id, species: s.species, isAttract: s.isAttract });
+      }
+    });
+  }
+
+  // Re-apply species definitions after they're edited. Spheres of a species
+  // that no longer exists fall back to the last one.
+  applySpecies() {
+    const last = speciesOf(this.config).length - 1;
+    this.spheres.forEach(s => s.setSpecies(Math.min(s.species, last)));
+  }
+
+  on(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  emit(type, event) {
+    (this.listeners[type] || []).forEach(listener => listener(event));
+  }
+
+  cleanup() {
+    this.spheres.forEach(s => s.cleanup(this.world));
+    this.spheres = [];
+    this.listeners = {};
+  }
+}
+
+export { SimulationCore, FIXED_STEP };
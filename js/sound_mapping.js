@@ -0,0 +1,133 @@
+import { AUDIO_CONSTANTS } from './config.js';
+import { speciesOf } from './species.js';
+import { containerOf } from './container.js';
+
+// The mapping layer from collision features to synth parameters. Each mapped
+// parameter is bound to one feature of the collision event through a curve:
+//
+//   { feature: 'velocity', curve: 'exponential', shape: 3,
+//     inMin: 0, inMax: 20, outMin: 0, outMax: 1 }
+//
+// The feature value is normalised over [inMin, inMax] (and clamped), shaped
+// by the curve, then scaled to [outMin, outMax]. config.soundMapping holds
+// one such binding per parameter; being plain JSON it travels with presets.
+
+// The container's bounds along an axis, which aren't the same for every shape
+function positionRange(axis, config) {
+  return [...containerOf(config).bounds[axis]];
+}
+
+// Collision features, with the input range a new binding starts from
+const MAPPING_FEATURES = {
+  velocity: { label: 'Impact velocity', range: () => [0, 20], read: (e) => e.velocity },
+  normalX: { label: 'Contact normal X', range: () => [-1, 1], read: (e) => e.normal?.[0] ?? 0 },
+  normalY: { label: 'Contact normal Y', range: () => [-1, 1], read: (e) => e.normal?.[1] ?? 0 },
+  normalZ: { label: 'Contact normal Z', range: () => [-1, 1], read: (e) => e.normal?.[2] ?? 0 },
+  sphereId: {
+    label: 'Sphere id',
+    range: (config) => [0, Math.max(1, config.sphereCount - 1)],
+    read: (e) => e.sphereId
+  },
+  polarity: { label: 'Polarity (repel 0, attract 1)', range: () => [0, 1], read: (e) => (e.isAttract ? 1 : 0) },
+  species: {
+    label: 'Species',
+    range: (config) => [0, Math.max(1, speciesOf(config).length - 1)],
+    read: (e) => e.species ?? 0
+  },
+  positionX: { label: 'Position X', range: (config) => positionRange(0, config), read: (e) => e.position[0] },
+  positionY: { label: 'Position Y', range: (config) => positionRange(1, config), read: (e) => e.position[1] },
+  positionZ: { label: 'Position Z', range: (config) => positionRange(2, config), read: (e) => e.position[2] },
+  // A sphere's first hit counts as long ago
+  sinceLastHit: { label: 'Time since last hit (s)', range: () => [0, 2], read: (e) => e.sinceLastHit ?? Infinity }
+};
+
+// Parameters that can be mapped, with their usual output range. The note is
+// in semitones above the category's base note; amp is a level that
+// config.ampMultiplier scales.
+const MAPPED_PARAMS = {
+  note: { label: 'Note offset', range: [0, 24] },
+  amp: { label: 'Level', range: [0, 1] },
+  attack: { label: 'Attack', range: [0, 2] },
+  release: { label: 'Release', range: [0.05, 4] },
+  cutoff: { label: 'Cutoff', range: [30, 130] },
+  detune: { label: 'Detune', range: [0, 1] }
+};
+
+// Curves take t in [0, 1] and the binding (for their own settings) and
+// return a value in [0, 1]
+const MAPPING_CURVES = {
+  linear: (t) => t,
+  // shape > 0 starts slow and rises steeply, shape < 0 the reverse
+  exponential: (t, { shape = 4 }) => (shape === 0 ? t : Math.expm1(shape * t) / Math.expm1(shape)),
+  stepped: (t, { steps = 4 }) => {
+    const count = Math.max(1, Math.round(steps));
+    return Math.min(Math.floor(t * count), count) / count;
+  },
+  // Linear interpolation through evenly spaced points
+  table: (t, { table }) => {
+    if (!Array.isArray(table) || table.length === 0) return t;
+    if (table.length === 1) return table[0];
+    const position = t * (table.length - 1);
+    const index = Math.min(Math.floor(position), table.length - 2);
+    const fraction = position - index;
+    return table[index] + (table[index + 1] - table[index]) * fraction;
+  }
+};
+
+// Reproduces the fixed mapping the cube always had: a semitone per half unit
+// of impact velocity up to two octaves, and level linear up to velocity 20
+const DEFAULT_SOUND_MAPPING = {
+  note: {
+    feature: 'velocity',
+    curve: 'stepped',
+    steps: AUDIO_CONSTANTS.MAX_NOTE_RANGE,
+    inMin: 0,
+    inMax: AUDIO_CONSTANTS.MAX_NOTE_RANGE / AUDIO_CONSTANTS.VELOCITY_TO_NOTE_SCALE,
+    outMin: 0,
+    outMax: AUDIO_CONSTANTS.MAX_NOTE_RANGE
+  },
+  amp: { feature: 'velocity', curve: 'linear', inMin: 0, inMax: 20, outMin: 0, outMax: 1 }
+};
+
+function soundMappingOf(config) {
+  return config.soundMapping || DEFAULT_SOUND_MAPPING;
+}
+
+// A fresh binding for `param`, spanning the feature's and parameter's ranges
+function defaultBinding(param, feature, config) {
+  const [inMin, inMax] = MAPPING_FEATURES[feature].range(config);
+  const [outMin, outMax] = MAPPED_PARAMS[param].range;
+  return { feature, curve: 'linear', inMin, inMax, outMin, outMax };
+}
+
+function mapFeature(binding, event) {
+  const feature = MAPPING_FEATURES[binding.feature];
+  const curve = MAPPING_CURVES[binding.curve] || MAPPING_CURVES.linear;
+  if (!feature) return binding.outMin;
+
+  const span = binding.inMax - binding.inMin;
+  const t = span === 0 ? 0 : (feature.read(event) - binding.inMin) / span;
+  const shaped = curve(Math.max(0, Math.min(1, t)), binding);
+  return binding.outMin + (binding.outMax - binding.outMin) * shaped;
+}
+
+// Every mapped parameter's value for this collision; unmapped parameters are
+// left out so voice settings and defaults apply
+function mapCollision(event, config) {
+  const values = {};
+  Object.entries(soundMappingOf(config)).forEach(([param, binding]) => {
+    if (binding && MAPPED_PARAMS[param]) values[param] = mapFeature(binding, event);
+  });
+  return values;
+}
+
+export {
+  MAPPING_FEATURES,
+  MAPPED_PARAMS,
+  MAPPING_CURVES,
+  DEFAULT_SOUND_MAPPING,
+  soundMappingOf,
+  defaultBinding,
+  mapFeature,
+  mapCollision
+};
@@ -0,0 +1,113 @@
+// Uniform grid broadphase for the sphere pair forces. Cells are at least
+// config.maxDistance wide, so any pair within range shares a cell or sits in
+// neighbouring ones and only those pairs are visited. Spheres are bucketed
+// by counting sort into typed arrays that are reused between steps, so a
+// rebuild allocates nothing unless the sphere or cell count grows.
+
+const MAX_CELLS_PER_AXIS = 32;
+
+// Half of the 26 neighbouring cells (plus the cell itself), so each pair of
+// cells is visited once
+const NEIGHBOUR_OFFSETS = [];
+for (let dz = -1; dz <= 1; dz++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dz > 0 || (dz === 0 && (dy > 0 || (dy === 0 && dx >= 0)))) {
+        NEIGHBOUR_OFFSETS.push([dx, dy, dz]);
+      }
+    }
+  }
+}
+
+class SpatialGrid {
+  constructor() {
+    this.cellsPerAxis = 1;
+    this.origin = 0;
+    this.cellSize = 1;
+    this.count = 0;
+    this.cellOf = new Int32Array(0);    // sphere index -> cell
+    this.sorted = new Int32Array(0);    // sphere indices grouped by cell
+    this.cellStart = new Int32Array(2); // cell -> first index into sorted (plus an end marker)
+  }
+
+  // Bucket `positions` (anything with x, y, z) into a grid over a cube of
+  // side `extent` centred on the origin. Positions outside it fall in the
+  // edge cells.
+  rebuild(positions, extent, range) {
+    const count = positions.length;
+    const cellsPerAxis = Math.max(1, Math.min(MAX_CELLS_PER_AXIS, Math.floor(extent / Math.max(range, 1e-6))));
+    const cellCount = cellsPerAxis ** 3;
+
+    this.count = count;
+    this.cellsPerAxis = cellsPerAxis;
+    this.cellSize = extent / cellsPerAxis;
+    this.origin = -extent / 2;
+    if (this.cellOf.length < count) {
+      this.cellOf = new Int32Array(count);
+      this.sorted = new Int32Array(count);
+    }
+    if (this.cellStart.length < cellCount + 1) {
+      this.cellStart = new Int32Array(cellCount + 1);
+    } else {
+      this.cellStart.fill(0, 0, cellCount + 1);
+    }
+
+    const cellStart = this.cellStart;
+    for (let i = 0; i < count; i++) {
+      const { x, y, z } = positions[i];
+      const cell = this.axisCell(x) + cellsPerAxis * (this.axisCell(y) + cellsPerAxis * this.axisCell(z));
+      this.cellOf[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+    // Fill each cell from its end so cellStart is left pointing at the starts
+    for (let i = count - 1; i >= 0; i--) {
+      this.sorted[--cellStart[this.cellOf[i] + 1]] = i;
+    }
+    // cellStart[c + 1] now holds the start of cell c; shift it back into place
+    for (let c = 0; c < cellCount; c++) cellStart[c] = cellStart[c + 1];
+    cellStart[cellCount] = count;
+  }
+
+  axisCell(value) {
+    const cell = Math.floor((value - this.origin) / this.cellSize);
+    return cell < 0 ? 0 : cell >= this.cellsPerAxis ? this.cellsPerAxis - 1 : cell;
+  }
+
+  // Calls visit(i, j) once for every pair of spheres in the same or
+  // neighbouring cells; the caller still checks the actual distance
+  forEachPair(visit) {
+    const n = this.cellsPerAxis;
+    const { sorted, cellStart } = this;
+
+    for (let z = 0; z < n; z++) {
+      for (let y = 0; y < n; y++) {
+        for (let x = 0; x < n; x++) {
+          const cell = x + n * (y + n * z);
+          const start = cellStart[cell];
+          const end = cellStart[cell + 1];
+          if (start === end) continue;
+
+          for (let k = 0; k < NEIGHBOUR_OFFSETS.length; k++) {
+            const [dx, dy, dz] = NEIGHBOUR_OFFSETS[k];
+            const nx = x + dx;
+            const ny = y + dy;
+            const nz = z + dz;
+            if (nx < 0 || ny < 0 || nz < 0 || nx >= n || ny >= n || nz >= n) continue;
+
+            const other = nx + n * (ny + n * nz);
+            const sameCell = other === cell;
+            const otherEnd = cellStart[other + 1];
+            for (let a = start; a < end; a++) {
+              for (let b = sameCell ? a + 1 : cellStart[other]; b < otherEnd; b++) {
+                visit(sorted[a], sorted[b]);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+export { SpatialGrid };
@@ -0,0 +1,77 @@
+// Places sounds relative to a listener: the camera, live, so the mix follows
+// the view as the user orbits. A listener is plain data (position plus the
+// right/up/forward unit vectors) so headless rendering can use a fixed one.
+//
+// Output is stereo only: the scsynth build renders two channels, so a sound's
+// direction comes down to a left-right pan.
+
+const MIN_CUTOFF = 30;
+const MAX_CUTOFF = 130;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const normalize = (v) => {
+  const length = Math.hypot(...v) || 1;
+  return v.map(c => c / length);
+};
+
+function lookAtListener(position, target = [0, 0, 0], worldUp = [0, 1, 0]) {
+  const forward = normalize(sub(target, position));
+  const right = normalize(cross(forward, worldUp));
+  return { position: [...position], right, up: cross(right, forward), forward };
+}
+
+// Matches the camera Simulation starts with
+const DEFAULT_LISTENER = lookAtListener([25, 25, 25]);
+
+// A THREE camera's world matrix holds its right, up and backward axes and its
+// position in columns (column-major elements)
+function listenerFromCamera(camera) {
+  const e = camera.matrixWorld.elements;
+  return {
+    position: [e[12], e[13], e[14]],
+    right: [e[0], e[1], e[2]],
+    up: [e[4], e[5], e[6]],
+    forward: [-e[8], -e[9], -e[10]]
+  };
+}
+
+// Pan, distance attenuation and air absorption for a sound at
+// `position`. Attenuation follows Web Audio's inverse distance model: full
+// level within config.refDistance, then falling off with config.rolloff.
+// Air absorption closes a low-pass by config.airAbsorption semitones per unit
+// of distance beyond refDistance; cutoff is undefined while it's off.
+function spatialize(position, listener, config) {
+  const offset = sub(position, listener.position);
+  const x = dot(offset, listener.right);
+  const y = dot(offset, listener.up);
+  const z = dot(offset, listener.forward);
+  const distance = Math.hypot(x, y, z);
+
+  const { refDistance, rolloff, airAbsorption } = config;
+  const beyond = Math.max(distance, refDistance) - refDistance;
+  const gain = refDistance / (refDistance + rolloff * beyond);
+  const cutoff = airAbsorption > 0
+    ? Math.max(MIN_CUTOFF, MAX_CUTOFF - airAbsorption * beyond)
+    : undefined;
+
+  return {
+    distance,
+    gain,
+    // Stereo only hears left-right, so sounds behind mirror those in front
+    pan: distance > 0 ? x / distance : 0,
+    cutoff
+  };
+}
+
+export {
+  DEFAULT_LISTENER,
+  lookAtListener,
+  listenerFromCamera,
+  spatialize
+};
@@ -0,0 +1,81 @@
+// Sphere species, in the style of "particle life". config.species lists
+// them, each with its own look, body and sound:
+//
+//   { name: 'Attract', color: '#ff4444', category: 'attract',
+//     radius: null, mass: 1, synth: null, minFlipTime: null, maxFlipTime: null }
+//
+// category picks the sound group (voices, FX section, MIDI channel, sample)
+// its hits play through, and synth, when set, replaces the group's synth for
+// its sphere-sphere hits. A null radius or flip time uses the config value.
+//
+// config.interactionMatrix[a][b] scales the force a sphere of species a
+// feels from one of species b (positive attracts). It needn't be symmetric,
+// which is what makes species chase each other. With both left null the two
+// default species and [[1, -1], [-1, 1]] reproduce the original polarity:
+// like pairs attract, unlike pairs repel.
+//
+// When a sphere's flip timer fires it changes species. With
+// config.speciesTransitions null it cycles to the next one; otherwise row a
+// of that N×N table holds the relative chances of species a becoming each
+// species (a row of zeros never changes).
+
+const DEFAULT_SPECIES = [
+  { name: 'Attract', color: '#ff4444', category: 'attract', radius: null, mass: 1, synth: null, minFlipTime: null, maxFlipTime: null },
+  { name: 'Repel', color: '#4444ff', category: 'repel', radius: null, mass: 1, synth: null, minFlipTime: null, maxFlipTime: null }
+];
+
+const SPECIES_CATEGORIES = ['attract', 'repel'];
+
+// Colours offered to species added from the panel, in turn
+const SPECIES_COLORS = ['#44cc66', '#ffaa22', '#cc44ff', '#22cccc', '#ff66aa', '#aaaaaa'];
+
+function speciesOf(config) {
+  return config.species?.length > 0 ? config.species : DEFAULT_SPECIES;
+}
+
+function speciesAt(index, config) {
+  const species = speciesOf(config);
+  return species[index] || species[0];
+}
+
+// The full matrix for the current species, filling anything missing with
+// the default of like attracts, unlike repels
+function interactionMatrixOf(config) {
+  const count = speciesOf(config).length;
+  return Array.from({ length: count }, (_, a) =>
+    Array.from({ length: count }, (_, b) => config.interactionMatrix?.[a]?.[b] ?? (a === b ? 1 : -1)));
+}
+
+// Spheres are split into equal runs of each species in turn
+function initialSpecies(index, count, config) {
+  const species = speciesOf(config).length;
+  return Math.min(species - 1, Math.floor((index * species) / count));
+}
+
+function nextSpecies(current, config, random) {
+  const count = speciesOf(config).length;
+  const row = config.speciesTransitions?.[current];
+  if (!row) return (current + 1) % count;
+
+  const weights = Array.from({ length: count }, (_, i) => Math.max(0, row[i] || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) return current;
+
+  let pick = random() * total;
+  for (let i = 0; i < count; i++) {
+    pick -= weights[i];
+    if (pick < 0) return i;
+  }
+  return count - 1;
+}
+
+export {
+  DEFAULT_SPECIES,
+  SPECIES_CATEGORIES,
+  SPECIES_COLORS,
+  speciesOf,
+  speciesAt,
+  interactionMatrixOf,
+  initialSpecies,
+  nextSpecies
+};
@@ -1,158 +1,122 @@
-import { quantizeToScale, calculateCollisionNote, calculateCollisionAmp } from './utils.js';
-import { AUDIO_CONSTANTS } from './config.js';
+import { speciesAt, nextSpecies } from "./species.js";
+import { containerOf } from "./container.js";
 
+// Physics-only sphere: owns its CANNON body, species and flip timer.
+// Rendering lives in SphereView so this class also runs headless.
 class Sphere {
-  constructor(world, scene, radius, isAttract, config, audioInterface) {
-    this.radius = radius;
-    this.isAttract = isAttract;
+  constructor(CANNON, world, id, species, config, random, state = null) {
+    this.id = id;
+    this.random = random;
     this.config = config;
-    this.audioInterface = audioInterface;
-
-    this.initPhysics(world, radius, config);
-    this.initGraphics(scene, radius, isAttract);
-    this.initFlipTimer();
+    // Presets from before species stored a polarity
+    this.species = state ? state.species ?? (state.isAttract ? 0 : 1) : species;
+    this.cleanupHandlers = [];
 
+    this.initPhysics(CANNON, world, this.radius, config, state);
+    this.initFlipTimer(state);
   }
 
-  initPhysics(world, radius, config) {
-    const range = config.cubeSize / 2 - radius * 2;
-    const randomPos = () => (Math.random() - 0.5) * 2 * range;
-    const randomVel = () => (Math.random() - 0.5) * 4;
+  initPhysics(CANNON, world, radius, config, state) {
+    const randomVel = () => (this.random() - 0.5) * 4;
+
+    const position = state
+      ? new CANNON.Vec3(...state.position)
+      : new CANNON.Vec3(...containerOf(config).randomPoint(this.random, radius * 2));
+    const velocity = state
+      ? new CANNON.Vec3(...state.velocity)
+      : new CANNON.Vec3(randomVel(), randomVel(), randomVel());
 
     const shape = new CANNON.Sphere(radius);
     this.body = new CANNON.Body({
-      mass: 1,
+      mass: this.definition.mass ?? 1,
       shape,
-      position: new CANNON.Vec3(randomPos(), randomPos(), randomPos()),
-      velocity: new CANNON.Vec3(randomVel(), randomVel(), randomVel()),
-      linearDamping: 0.01
+      position,
+      velocity,
+      linearDamping: config.linearDamping
     });
 
-    this.body.addEventListener('collide', (e) => this.onCollision(e));
     world.addBody(this.body);
   }
 
-  initGraphics(scene, radius, isAttract) {
-    const geometry = new THREE.SphereGeometry(radius, 32, 32);
-    const material = new THREE.MeshStandardMaterial({
-      color: isAttract ? 0xff4444 : 0x4444ff,
-      metalness: 0.3,
-      roughness: 0.4,
-      emissive: isAttract ? 0x440000 : 0x000044,
-      emissiveIntensity: 0.3
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    scene.add(this.mesh);
+  initFlipTimer(state) {
+    this.nextFlipTime = state ? state.nextFlipTime : this.randomFlipDelay();
+    this.flipTimer = state ? state.flipTimer : 0;
+  }
+
+  get definition() {
+    return speciesAt(this.species, this.config);
+  }
 
-    this.originalColor = this.mesh.material.color.clone();
-    this.originalEmissive = this.mesh.material.emissive.clone();
+  get radius() {
+    return this.definition.radius ?? this.config.sphereRadius;
   }
 
-  initFlipTimer() {
-    this.nextFlipTime = this.randomFlipDelay();
-    this.flipTimer = 0;
+  // Hits sound in the attract group unless the species is in the repel one
+  get isAttract() {
+    return this.definition.category !== 'repel';
   }
 
   randomFlipDelay() {
-    const min = this.config.minFlipTime;
-    const max = this.config.maxFlipTime;
-    return min + Math.random() * (max - min);
+    const min = this.definition.minFlipTime ?? this.config.minFlipTime;
+    const max = this.definition.maxFlipTime ?? this.config.maxFlipTime;
+    return min + this.random() * (max - min);
   }
 
+  // Returns true when the sphere changed species during this update
   updateFlipTimer(deltaTime) {
     this.flipTimer += deltaTime * 1000; // Convert to ms
     if (this.flipTimer >= this.nextFlipTime) {
-      this.flip();
+      const flipped = this.flip();
       this.flipTimer = 0;
       this.nextFlipTime = this.randomFlipDelay();
+      return flipped;
     }
+    return false;
   }
 
+  // Move on to the next species (see species.js); false if it stayed put
   flip() {
-    this.isAttract = !this.isAttract;
-    this.mesh.material.color.setHex(this.isAttract ? 0xff4444 : 0x4444ff);
-    this.mesh.material.emissive.setHex(this.isAttract ? 0x440000 : 0x000044);
+    const species = nextSpecies(this.species, this.config, this.random);
+    if (species === this.species) return false;
+    this.setSpecies(species);
+    return true;
   }
 
-  onCollision(event) {
-    const velocity = Math.abs(event.contact.getImpactVelocityAlongNormal());
-    const hitWall = event.body.mass === 0;
-
-    this.flashCollision(velocity);
-    this.playCollisionSound(velocity, hitWall);
-  }
-
-  playCollisionSound(velocity, hitWall) {
-    const baseNote = hitWall
-      ? this.config.rootNote + AUDIO_CONSTANTS.WALL_OCTAVE_OFFSET
-      : this.isAttract
-        ? this.config.rootNote
-        : this.config.rootNote + AUDIO_CONSTANTS.REPEL_OCTAVE_OFFSET;
-
-    const note = calculateCollisionNote(baseNote, velocity, this.config);
-    const amp = calculateCollisionAmp(velocity, this.config);
-    const pan = this.body.position.x / (this.config.cubeSize / 2);
-    const release = hitWall ? AUDIO_CONSTANTS.WALL_RELEASE : AUDIO_CONSTANTS.SPHERE_RELEASE;
-    const synth = this.getSynthType(hitWall);
-
-    this.audioInterface.playCollisionSound({
-      synth,
-      note,
-      amp,
-      pan,
-      release,
-      isWall: hitWall,
-      isAttract: this.isAttract,
-      velocity
-    });
+  // Take on a species' radius and mass, e.g. after a flip or an edit to it
+  setSpecies(species) {
+    this.species = species;
+    const shape = this.body.shapes[0];
+    const mass = this.definition.mass ?? 1;
+    if (shape.radius === this.radius && this.body.mass === mass) return;
+
+    shape.radius = this.radius;
+    shape.updateBoundingSphereRadius();
+    this.body.mass = mass;
+    this.body.updateBoundingRadius();
+    this.body.aabbNeedsUpdate = true;
+    this.body.updateMassProperties();
   }
 
-  getSynthType(hitWall) {
-    if (hitWall) return 'sonic-pi-tri';
-    return this.isAttract ? 'sonic-pi-beep' : 'sonic-pi-dsaw';
-  }
-
-  flashCollision(intensity) {
-    const flashAmount = Math.min(intensity * 0.15, 0.8);
-    this.mesh.material.color.lerp(new THREE.Color(0xffffff), flashAmount);
-    this.mesh.material.emissiveIntensity = Math.min(0.3 + intensity * 0.1, 1.0);
-
-    this.fadeToOriginalColor();
-  }
-
-  fadeToOriginalColor() {
-    if (this.flashTimeout) clearTimeout(this.flashTimeout);
-
-    const fadeSteps = 10;
-    let currentStep = 0;
-
-    const fade = () => {
-      currentStep++;
-      this.mesh.material.color.lerp(this.originalColor, 0.3);
-      this.mesh.material.emissiveIntensity = THREE.MathUtils.lerp(
-        this.mesh.material.emissiveIntensity,
-        0.3,
-        0.3
-      );
-
-      if (currentStep < fadeSteps) {
-        this.flashTimeout = setTimeout(fade, 50);
-      }
+  serialize() {
+    const { position, velocity } = this.body;
+    return {
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      species: this.species,
+      flipTimer: this.flipTimer,
+      nextFlipTime: this.nextFlipTime
     };
-
-    this.flashTimeout = setTimeout(fade, 50);
   }
 
-  update() {
-    this.mesh.position.copy(this.body.position);
-    this.mesh.quaternion.copy(this.body.quaternion);
+  // Register teardown for resources tied to this sphere (e.g. its drone node)
+  onCleanup(handler) {
+    this.cleanupHandlers.push(handler);
   }
 
-  cleanup(world, scene) {
-    if (this.flashTimeout) clearTimeout(this.flashTimeout);
+  cleanup(world) {
+    this.cleanupHandlers.forEach(handler => handler(this));
+    this.cleanupHandlers = [];
     world.removeBody(this.body);
-    scene.remove(this.mesh);
   }
 }
 
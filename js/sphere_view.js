@@ -0,0 +1,79 @@
+// THREE mesh for a Sphere, kept in sync with its body each frame
+class SphereView {
+  constructor(scene, sphere) {
+    this.sphere = sphere;
+    this.initGraphics(scene, sphere.radius);
+  }
+
+  initGraphics(scene, radius) {
+    // Species of another size rescale this geometry rather than replace it
+    this.baseRadius = radius;
+    const geometry = new THREE.SphereGeometry(radius, 32, 32);
+    const material = new THREE.MeshStandardMaterial({
+      metalness: 0.3,
+      roughness: 0.4,
+      emissiveIntensity: 0.3
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.castShadow = true;
+    scene.add(this.mesh);
+
+    this.originalColor = new THREE.Color();
+    this.updateSpecies();
+    this.update();
+  }
+
+  // Colour and size from the sphere's species, with a dim glow of its colour
+  updateSpecies() {
+    const { definition, radius } = this.sphere;
+    this.originalColor.set(definition.color);
+    this.mesh.material.color.copy(this.originalColor);
+    this.mesh.material.emissive.copy(this.originalColor).multiplyScalar(0.25);
+    this.mesh.scale.setScalar(radius / this.baseRadius);
+  }
+
+  flashCollision(intensity) {
+    const flashAmount = Math.min(intensity * 0.15, 0.8);
+    this.mesh.material.color.lerp(new THREE.Color(0xffffff), flashAmount);
+    this.mesh.material.emissiveIntensity = Math.min(0.3 + intensity * 0.1, 1.0);
+
+    this.fadeToOriginalColor();
+  }
+
+  fadeToOriginalColor() {
+    if (this.flashTimeout) clearTimeout(this.flashTimeout);
+
+    const fadeSteps = 10;
+    let currentStep = 0;
+
+    const fade = () => {
+      currentStep++;
+      this.mesh.material.color.lerp(this.originalColor, 0.3);
+      this.mesh.material.emissiveIntensity = THREE.MathUtils.lerp(
+        this.mesh.material.emissiveIntensity,
+        0.3,
+        0.3
+      );
+
+      if (currentStep < fadeSteps) {
+        this.flashTimeout = setTimeout(fade, 50);
+      }
+    };
+
+    this.flashTimeout = setTimeout(fade, 50);
+  }
+
+  update() {
+    this.mesh.position.copy(this.sphere.body.position);
+    this.mesh.quaternion.copy(this.sphere.body.quaternion);
+  }
+
+  cleanup(scene) {
+    if (this.flashTimeout) clearTimeout(this.flashTimeout);
+    scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
+
+export { SphereView };
@@ -0,0 +1,165 @@
+import { oscBundle } from './osc.js';
+import { fallbackSynth } from './voices.js';
+import { FxChain, SYNTH_GROUP, groupMessages, fxSynthNames } from './fx_chain.js';
+import { SampleBank, SAMPLE_PLAYERS } from './sample_bank.js';
+
+const SYNTHDEFS = ["sonic-pi-beep", "sonic-pi-dsaw", "sonic-pi-tri", "sonic-pi-fx_reverb"];
+const SYNTHDEF_BASE_URL = "../dist/etc/synthdefs/";
+
+// OSC messages are built separately from sending so the offline renderer
+// produces exactly what live playback sends. `routing` gives the node id
+// (-1 lets scsynth pick) and places the synth at the head of `group`, writing
+// to `outBus` (see fx_chain.js).
+function collisionMessage(params, routing = {}) {
+  const { synth, note, amp, pan, attack, release } = params;
+  const { nodeId = -1, group = 0, outBus = 0 } = routing;
+
+  const message = ['/s_new', synth, nodeId, 0, group,
+    'out_bus', outBus,
+    'note', note,
+    'amp', amp,
+    'pan', pan,
+    'attack', attack,
+    'release', release
+  ];
+  // Optional voice overrides and sample player controls; left out, the
+  // synthdef's own defaults apply
+  ['cutoff', 'detune', 'buf', 'rate'].forEach(name => {
+    if (params[name] !== undefined) message.push(name, params[name]);
+  });
+  return message;
+}
+
+// Swap in the group's default synth when the voice's synthdef isn't loaded
+function withAvailableSynth(params, isLoaded) {
+  return isLoaded(params.synth) ? params : { ...params, synth: fallbackSynth(params.category) };
+}
+
+// Output backend that plays collisions on the embedded scsynth
+class SuperSonicOutput {
+  constructor(config, voices) {
+    this.name = 'supersonic';
+    this.fx = new FxChain(config);
+    this.samples = new SampleBank(config);
+    this.voices = voices;
+    this.replyListeners = [];
+    this.SuperSonic = null;
+    this.sonic = null;
+    this.ready = false;
+    this.synthStatus = new Map(); // name -> 'loading' | 'loaded' | 'failed'
+  }
+
+  async init() {
+    if (this.ready) return;
+
+    const { SuperSonic } = await import('../dist/supersonic.js');
+
+    this.SuperSonic = SuperSonic;
+    this.sonic = new SuperSonic();
+    await this.sonic.init();
+    this.samples.attach(this.sonic);
+    this.sonic.onMessageReceived = (message) => this.handleReply(message);
+    // Ask for /n_end so finished voices can be released
+    await this.sonic.call('/notify', 1);
+
+    await this.loadSynthDefs(SYNTHDEFS);
+    groupMessages().forEach(message => this.sonic.send(...message));
+    await this.buildFx();
+
+    this.ready = true;
+  }
+
+  // Load any synthdefs not already loaded (or tried); missing ones are
+  // reported once and their voices fall back to the group defaults
+  async loadSynthDefs(names) {
+    const pending = names.filter(name => !this.synthStatus.has(name));
+    if (pending.length === 0) return;
+
+    pending.forEach(name => this.synthStatus.set(name, 'loading'));
+    const results = await this.sonic.loadSynthDefs(pending, SYNTHDEF_BASE_URL);
+    Object.entries(results).forEach(([name, result]) => {
+      this.synthStatus.set(name, result.success ? 'loaded' : 'failed');
+      if (!result.success) console.warn(`[Audio] Synthdef ${name} unavailable, using the group default`);
+    });
+  }
+
+  // Listeners get every decoded reply from scsynth; returns an unsubscribe function
+  addReplyListener(listener) {
+    this.replyListeners.push(listener);
+    return () => {
+      this.replyListeners = this.replyListeners.filter(l => l !== listener);
+    };
+  }
+
+  handleReply({ oscData }) {
+    const message = this.SuperSonic.osc.decode(oscData);
+    if (message.address === '/n_end') this.voices?.release(message.args[0]);
+    this.replyListeners.forEach(listener => listener(message));
+  }
+
+  // Players load with the first sample, so sample hits rarely need the
+  // fallback. A sample whose player can't load would only ever play its
+  // synth, so it's freed again and the load fails.
+  async loadSample(name, source) {
+    await this.loadSynthDefs(Object.values(SAMPLE_PLAYERS));
+    const sample = await this.samples.load(name, source);
+    const player = SAMPLE_PLAYERS[sample.channels];
+    if (!this.isLoaded(player)) {
+      await this.samples.free(name);
+      throw new Error(`${player} is unavailable, so the sample can't play`);
+    }
+    return sample;
+  }
+
+  isLoaded(name) {
+    return this.synthStatus.get(name) === 'loaded';
+  }
+
+  // (Re)create the FX graph; effects whose synthdefs can't load are skipped
+  async buildFx() {
+    await this.loadSynthDefs(fxSynthNames(this.fx.chain));
+    this.fx.build(this.sonic, (name) => this.isLoaded(name));
+  }
+
+  // Collisions go out as timestamped bundles so the scheduler in
+  // osc_out_worker releases them on time, free of frame and physics jitter
+  play(sound) {
+    // Voices load on first use; until then they play the group default
+    const voiced = this.samples.playerParams(sound);
+    if (!this.synthStatus.has(voiced.synth)) this.loadSynthDefs([voiced.synth]);
+    const params = withAvailableSynth(voiced, (name) => this.isLoaded(name));
+
+    // Reserve a voice at the note's start; at full polyphony that may free
+    // another voice in the same bundle, or drop this note
+    const startTime = this.sonic.audioContext.currentTime + (params.delay || 0);
+    const voice = this.voices ? this.voices.allocate(params, startTime) : { nodeId: -1, steal: [] };
+    if (!voice) return;
+
+    const messages = [
+      ...voice.steal.map(nodeId => ['/n_free', nodeId]),
+      collisionMessage(params, {
+        nodeId: voice.nodeId,
+        group: SYNTH_GROUP,
+        outBus: this.fx.busFor(params.category)
+      })
+    ];
+    if (!params.delay || this.sonic.wasmTimeOffset === null) {
+      messages.forEach(message => this.sonic.send(...message));
+      return;
+    }
+
+    const ntpTime = this.sonic.wasmTimeOffset + startTime;
+    this.sonic.sendOSC(this.SuperSonic.osc.encode(oscBundle(ntpTime, messages)));
+  }
+
+  async cleanup() {
+    if (this.sonic) await this.sonic.destroy();
+    this.sonic = null;
+    this.ready = false;
+    this.synthStatus.clear();
+    this.samples.reset();
+    this.voices?.reset();
+  }
+}
+
+export { SuperSonicOutput, SYNTHDEFS, SYNTHDEF_BASE_URL, collisionMessage, withAvailableSynth };
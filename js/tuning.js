@@ -0,0 +1,137 @@
+// Cents-based tunings, including Scala .scl scales and .kbm keyboard mappings
+// (https://www.huygens-fokker.org/scala/scl_format.html).
+//
+// A tuning is { name, degrees, period, offset }: degrees are cents above the
+// root within one period (starting at 0), period is the repeat interval in
+// cents (1200 for octave-based scales) and offset shifts the root in
+// semitones, e.g. to honour a .kbm reference frequency.
+
+// "386.314" (cents), "5/4" or "2" (ratios) -> cents
+function parsePitch(text) {
+  const value = text.trim().split(/\s+/)[0];
+  if (value.includes('.')) {
+    const cents = parseFloat(value);
+    if (Number.isNaN(cents)) throw new Error(`Invalid cents value "${value}"`);
+    return cents;
+  }
+
+  const [numerator, denominator = '1'] = value.split('/');
+  const ratio = parseInt(numerator) / parseInt(denominator);
+  if (!(ratio > 0)) throw new Error(`Invalid ratio "${value}"`);
+  return 1200 * Math.log2(ratio);
+}
+
+// Lines that aren't comments (Scala comments start with "!")
+function dataLines(text) {
+  return text.split(/\r?\n/).filter(line => !line.trimStart().startsWith('!'));
+}
+
+function parseScl(text) {
+  const lines = dataLines(text);
+  const description = (lines[0] || '').trim();
+  const count = parseInt(lines[1]);
+  if (!Number.isInteger(count) || count < 1) throw new Error('Scala file is missing its note count');
+
+  const pitches = lines.slice(2).filter(line => line.trim()).slice(0, count).map(parsePitch);
+  if (pitches.length !== count) {
+    throw new Error(`Scala file lists ${pitches.length} of ${count} pitches`);
+  }
+  return { description, pitches };
+}
+
+function parseKbm(text) {
+  const values = dataLines(text).map(line => line.trim()).filter(Boolean);
+  const number = (index) => parseFloat(values[index]);
+  const size = number(0);
+  if (!Number.isInteger(size) || values.length < 7) throw new Error('Invalid keyboard mapping file');
+
+  return {
+    size,
+    firstNote: number(1),
+    lastNote: number(2),
+    middleNote: number(3),
+    referenceNote: number(4),
+    referenceFrequency: number(5),
+    periodDegree: number(6),
+    // Degree per key in the pattern; null for "x" (unmapped) keys
+    mapping: values.slice(7, 7 + size).map(v => (v === 'x' ? null : parseInt(v)))
+  };
+}
+
+function tuningFromScl(scl, name = scl.description) {
+  const period = scl.pitches[scl.pitches.length - 1];
+  if (!(period > 0)) throw new Error('Scale period must be above the root');
+
+  const degrees = [0, ...scl.pitches.slice(0, -1).filter(c => c > 0 && c < period)]
+    .sort((a, b) => a - b);
+  return { name: name || 'Custom', degrees, period, offset: 0 };
+}
+
+// Restrict a tuning to the degrees a .kbm maps, and shift it so the reference
+// key sounds at the reference frequency. Callers should also set the root
+// note to kbm.middleNote, which is where the offset is measured from.
+function applyKbm(tuning, kbm) {
+  const scaleDegree = (key) => {
+    const steps = key - kbm.middleNote;
+    if (kbm.size === 0) return { index: steps, cycles: 0 };
+    const cycles = Math.floor(steps / kbm.size);
+    return { index: kbm.mapping[steps - cycles * kbm.size], cycles };
+  };
+
+  const count = tuning.degrees.length;
+  const centsOf = (degree, cycles) => {
+    const octaves = Math.floor(degree / count);
+    return (cycles + octaves) * tuning.period + tuning.degrees[degree - octaves * count];
+  };
+
+  const { index, cycles } = scaleDegree(kbm.referenceNote);
+  const referenceCents = index === null || index === undefined ? 0 : centsOf(index, cycles);
+  const referenceMidi = 69 + 12 * Math.log2(kbm.referenceFrequency / 440);
+  const offset = referenceMidi - (kbm.middleNote + referenceCents / 100);
+
+  const mapped = kbm.size === 0
+    ? tuning.degrees
+    : [...new Set(kbm.mapping.filter(d => d !== null).map(d => tuning.degrees[d % count]))]
+      .sort((a, b) => a - b);
+
+  return { ...tuning, degrees: mapped.length ? mapped : tuning.degrees, offset };
+}
+
+// UI shorthand: the pitch lines of a .scl, comma separated, ending with the period
+function parseTuningDegrees(text, name = 'Custom') {
+  const pitches = text.split(',').map(s => s.trim()).filter(Boolean).map(parsePitch);
+  if (pitches.length === 0) return null;
+  return tuningFromScl({ description: name, pitches });
+}
+
+function formatTuningDegrees(tuning) {
+  if (!tuning) return '';
+  return [...tuning.degrees.slice(1), tuning.period].map(c => c.toFixed(3)).join(', ');
+}
+
+// Nearest tuned pitch to rawNote, as a (usually fractional) MIDI note
+function quantizeToTuning(rawNote, rootNote, tuning) {
+  const { degrees, period } = tuning;
+  const base = rootNote + (tuning.offset || 0);
+  const cents = (rawNote - base) * 100;
+  const cycle = Math.floor(cents / period);
+  const within = cents - cycle * period;
+
+  let closest = 0;
+  for (const degree of [...degrees, period]) {
+    if (Math.abs(within - degree) < Math.abs(within - closest)) closest = degree;
+  }
+
+  return base + (cycle * period + closest) / 100;
+}
+
+export {
+  parsePitch,
+  parseScl,
+  parseKbm,
+  tuningFromScl,
+  applyKbm,
+  parseTuningDegrees,
+  formatTuningDegrees,
+  quantizeToTuning
+};
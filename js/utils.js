@@ -1,4 +1,5 @@
-import { AUDIO_CONSTANTS, SCALES } from "./config.js";
+import { SCALES, CHORDS } from "./config.js";
+import { quantizeToTuning } from "./tuning.js";
 
 // function debounce(func, wait) {
 //   let timeout;
@@ -22,18 +23,24 @@ function debounce(simulation, wait) {
 }
 
 
+function scaleIntervals(name) {
+  return SCALES[name] || CHORDS[name];
+}
+
 function quantizeToScale(rawNote, config) {
+  // A cents-based tuning replaces the 12-TET scales and may return fractional notes
+  if (config.tuning) return quantizeToTuning(rawNote, config.rootNote, config.tuning);
   if (config.currentScale === 'No Scale') return rawNote;
 
-  const scaleIntervals = SCALES[config.currentScale];
+  const intervals = scaleIntervals(config.currentScale);
   const octave = Math.floor((rawNote - config.rootNote) / 12);
-  const noteInOctave = (rawNote - config.rootNote) % 12;
+  const noteInOctave = rawNote - config.rootNote - octave * 12;
 
-  let closestInterval = scaleIntervals[0];
+  let closestInterval = intervals[0];
   let minDistance = Math.abs(noteInOctave - closestInterval);
 
-  for (let i = 1; i < scaleIntervals.length; i++) {
-    const interval = scaleIntervals[i];
+  for (let i = 1; i < intervals.length; i++) {
+    const interval = intervals[i];
     const distance = Math.abs(noteInOctave - interval);
     if (distance < minDistance) {
       minDistance = distance;
@@ -44,22 +51,6 @@ function quantizeToScale(rawNote, config) {
   return config.rootNote + (octave * 12) + closestInterval;
 }
 
-function calculateCollisionNote(baseNote, velocity, config) {
-  const rawNote = baseNote + Math.min(
-    Math.floor(velocity * AUDIO_CONSTANTS.VELOCITY_TO_NOTE_SCALE),
-    AUDIO_CONSTANTS.MAX_NOTE_RANGE
-  );
-  return quantizeToScale(rawNote, config);
-}
-
-function calculateCollisionAmp(velocity, config) {
-  const scaledVelocity = Math.min(velocity / 20, 1);
-  return Math.min(
-    (scaledVelocity * config.ampMultiplier),
-    AUDIO_CONSTANTS.MAX_AMP
-  );
-}
-
 async function loadExternalLibrary(url) {
   return new Promise((resolve, reject) => {
     const script = document.createElement('script');
@@ -70,4 +61,13 @@ async function loadExternalLibrary(url) {
   });
 }
 
-export { debounce, quantizeToScale, calculateCollisionAmp, calculateCollisionNote, loadExternalLibrary };
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export { debounce, scaleIntervals, quantizeToScale, loadExternalLibrary, downloadBlob };
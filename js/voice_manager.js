@@ -0,0 +1,125 @@
+// Keeps collision storms from overrunning scsynth. Every note gets an explicit
+// node id so it can be tracked until scsynth reports /n_end, at most
+// config.maxPolyphony notes sound at once, and repeated contacts between the
+// same pair of bodies within config.pairDebounce seconds only sound once.
+//
+// Times are seconds on the caller's clock; a voice is also considered finished
+// once its envelope (attack + release) has run, in case an /n_end goes missing.
+
+const VOICE_NODE_BASE = 10000;
+const VOICE_NODE_LIMIT = 1000000000;
+
+// Which voice to free when a new note arrives at full polyphony. 'none' drops
+// the new note instead.
+const STEAL_POLICIES = ['oldest', 'quietest', 'none'];
+
+class VoiceManager {
+  constructor(config) {
+    this.config = config;
+    this.voices = new Map(); // nodeId -> { nodeId, amp, startsAt, endsAt }
+    this.lastContacts = new Map(); // pair key -> time
+    this.nextNodeId = VOICE_NODE_BASE;
+    this.stats = { peak: 0, stolen: 0, dropped: 0, debounced: 0 };
+  }
+
+  get count() {
+    return this.voices.size;
+  }
+
+  // Both bodies in a sphere-sphere collision report it, so the pair key
+  // ignores order; walls count as one body
+  pairKey(event) {
+    if (event.hitWall) return `${event.sphereId}:wall`;
+    const [a, b] = [event.sphereId, event.otherId].sort((x, y) => x - y);
+    return `${a}:${b}`;
+  }
+
+  // True if this contact should be ignored as a repeat of a recent one
+  debounce(event, time = event.time) {
+    const window = this.config.pairDebounce;
+    if (!window) return false;
+
+    const key = this.pairKey(event);
+    const last = this.lastContacts.get(key);
+    if (last !== undefined && time - last < window) {
+      this.stats.debounced++;
+      return true;
+    }
+
+    this.lastContacts.set(key, time);
+    if (this.lastContacts.size > 4096) this.forgetContacts(time - window);
+    return false;
+  }
+
+  // With no time given, forgets them all
+  forgetContacts(before = Infinity) {
+    for (const [key, time] of this.lastContacts) {
+      if (time < before) this.lastContacts.delete(key);
+    }
+  }
+
+  // Reserve a node for a note starting at `time`. Returns { nodeId, steal }
+  // where steal lists node ids to free first, or null if the note is dropped.
+  allocate(params, time) {
+    this.expire(time);
+
+    const steal = [];
+    const max = this.config.maxPolyphony;
+    if (max > 0 && this.voices.size >= max) {
+      const victim = this.victim();
+      if (!victim) {
+        this.stats.dropped++;
+        return null;
+      }
+      this.voices.delete(victim.nodeId);
+      steal.push(victim.nodeId);
+      this.stats.stolen++;
+    }
+
+    const nodeId = this.nextNodeId;
+    this.nextNodeId = nodeId + 1 < VOICE_NODE_LIMIT ? nodeId + 1 : VOICE_NODE_BASE;
+    this.voices.set(nodeId, {
+      nodeId,
+      amp: params.amp,
+      startsAt: time,
+      endsAt: time + params.attack + params.release
+    });
+    this.stats.peak = Math.max(this.stats.peak, this.voices.size);
+
+    return { nodeId, steal };
+  }
+
+  victim() {
+    const voices = [...this.voices.values()];
+    switch (this.config.stealPolicy) {
+      case 'quietest':
+        return voices.reduce((a, b) => (b.amp < a.amp ? b : a));
+      case 'oldest':
+        return voices.reduce((a, b) => (b.startsAt < a.startsAt ? b : a));
+      default:
+        return null;
+    }
+  }
+
+  // scsynth's /n_end for a voice
+  release(nodeId) {
+    this.voices.delete(nodeId);
+  }
+
+  expire(time) {
+    for (const [nodeId, voice] of this.voices) {
+      if (voice.endsAt <= time) this.voices.delete(nodeId);
+    }
+  }
+
+  reset() {
+    this.voices.clear();
+    this.lastContacts.clear();
+  }
+
+  metrics() {
+    return { voices: this.count, maxPolyphony: this.config.maxPolyphony, ...this.stats };
+  }
+}
+
+export { VoiceManager, STEAL_POLICIES };
@@ -0,0 +1,73 @@
+import { speciesOf, speciesAt } from './species.js';
+import { faceSettings } from './container.js';
+
+// Voice assignment: which synth (and which parameter overrides) each
+// collision plays. Voices are set per group in config.voices, per species
+// (its synth, see species.js) and per sphere in config.sphereVoices (keyed by
+// sphere id) for sphere-sphere hits, each over the one before. Wall hits can
+// take a synth from the face they hit (see container.js). Anything left unset
+// falls back to the group defaults below.
+
+const DEFAULT_VOICES = {
+  wall: { synth: 'sonic-pi-tri', params: {} },
+  attract: { synth: 'sonic-pi-beep', params: {} },
+  repel: { synth: 'sonic-pi-dsaw', params: {} }
+};
+
+// Overridable synth controls, with the ranges the controls panel offers.
+// Synths without a control (e.g. detune on beep) just ignore it.
+const VOICE_PARAMS = {
+  cutoff: { min: 30, max: 130, step: 1 },
+  attack: { min: 0, max: 2, step: 0.01 },
+  release: { min: 0.05, max: 4, step: 0.05 },
+  detune: { min: 0, max: 1, step: 0.01 }
+};
+
+// Manifest entries that aren't playable instruments
+const NON_INSTRUMENT_PATTERN = /fx_|player|mixer|live_audio|sound_in|recorder|scope|server-info|amp_stereo_monitor/;
+
+function groupVoice(category, config) {
+  return { ...DEFAULT_VOICES[category], ...config.voices?.[category] };
+}
+
+function voiceFor(event, category, config) {
+  const group = groupVoice(category, config);
+  const synth = event.hitWall
+    ? event.face && faceSettings(event.face, config).synth
+    : speciesAt(event.species ?? 0, config).synth;
+  const sphere = event.hitWall ? null : config.sphereVoices?.[event.sphereId];
+  const voice = { ...group, ...(synth ? { synth } : {}), ...sphere };
+  return {
+    synth: voice.synth || DEFAULT_VOICES[category].synth,
+    params: { ...group.params, ...sphere?.params }
+  };
+}
+
+// The always-loaded synth to play while a voice's synthdef loads, or if it can't
+function fallbackSynth(category) {
+  return (DEFAULT_VOICES[category] || DEFAULT_VOICES.attract).synth;
+}
+
+// Every synth the current assignment can play
+function voiceSynthNames(config) {
+  const names = Object.keys(DEFAULT_VOICES).map(category => groupVoice(category, config).synth);
+  speciesOf(config).forEach(species => {
+    if (species.synth) names.push(species.synth);
+  });
+  Object.values(config.sphereVoices || {}).forEach(voice => {
+    if (voice.synth) names.push(voice.synth);
+  });
+  Object.values(config.containerFaces || {}).forEach(face => {
+    if (face.synth) names.push(face.synth);
+  });
+  return [...new Set(names)];
+}
+
+async function loadSynthManifest(baseUrl) {
+  const response = await fetch(`${baseUrl}manifest.json`);
+  if (!response.ok) throw new Error(`Failed to load synthdef manifest: ${response.status}`);
+  const { synthdefs } = await response.json();
+  return synthdefs.filter(name => !NON_INSTRUMENT_PATTERN.test(name));
+}
+
+export { DEFAULT_VOICES, VOICE_PARAMS, groupVoice, voiceFor, fallbackSynth, voiceSynthNames, loadSynthManifest };
@@ -0,0 +1,55 @@
+// 16-bit PCM WAV encoding. Kept free of DOM APIs so it can run in a Worker.
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
+
+function wavHeader(numChannels, sampleRate, dataBytes) {
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+  const blockAlign = numChannels * 2;
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  return header;
+}
+
+// Interleave per-channel Float32Arrays into 16-bit little-endian PCM
+function encodePcm16(channels) {
+  const numChannels = channels.length;
+  const length = channels[0].length;
+  const pcm = new ArrayBuffer(length * numChannels * 2);
+  const view = new DataView(pcm);
+
+  let offset = 0;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+
+  return pcm;
+}
+
+function encodeWav(channels, sampleRate) {
+  const pcm = encodePcm16(channels);
+  return new Blob([wavHeader(channels.length, sampleRate, pcm.byteLength), pcm], { type: 'audio/wav' });
+}
+
+export { wavHeader, encodePcm16, encodeWav };
@@ -0,0 +1,50 @@
+import { wavHeader, encodePcm16 } from './wav_encoder.js';
+
+// Encodes live recordings off the main thread. Started with a MessagePort
+// that receives audio chunks straight from SuperSonic's recorder worklet; each
+// chunk is encoded to 16-bit PCM as it arrives, so stopping only has to add
+// the header. Recording past maxBytes is cut off and reported.
+//
+// In:  { type: 'start', port, sampleRate, channels, maxBytes }
+// Out: { type: 'progress', frames, bytes }, { type: 'limit' },
+//      { type: 'done', blob, frames, bytes }
+
+let recording = null;
+
+function addChunk({ channels, frames }) {
+  if (recording.full) return;
+
+  let pcm = encodePcm16(channels);
+  const room = recording.maxBytes - recording.bytes;
+  if (pcm.byteLength > room) {
+    const frameBytes = recording.channels * 2;
+    pcm = pcm.slice(0, room - (room % frameBytes));
+    frames = pcm.byteLength / frameBytes;
+    recording.full = true;
+    self.postMessage({ type: 'limit' });
+  }
+
+  recording.chunks.push(pcm);
+  recording.bytes += pcm.byteLength;
+  recording.frames += frames;
+  self.postMessage({ type: 'progress', frames: recording.frames, bytes: recording.bytes });
+}
+
+function finish() {
+  const { chunks, channels, sampleRate, frames, bytes } = recording;
+  const blob = new Blob([wavHeader(channels, sampleRate, bytes), ...chunks], { type: 'audio/wav' });
+  recording = null;
+  self.postMessage({ type: 'done', blob, frames, bytes });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type !== 'start') return;
+
+  const { port, sampleRate, channels, maxBytes } = data;
+  recording = { sampleRate, channels, maxBytes, chunks: [], bytes: 0, frames: 0, full: false };
+  port.onmessage = ({ data: message }) => {
+    if (!recording) return;
+    if (message.type === 'chunk') addChunk(message);
+    else if (message.type === 'end') finish();
+  };
+};
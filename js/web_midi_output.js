@@ -0,0 +1,78 @@
+import { PAN_CC, ALL_NOTES_OFF_CC, CATEGORY_CHANNELS, noteToMidi, noteToPitchBend, ampToVelocity, panToController } from './midi_utils.js';
+
+// Output backend that sends collisions to an external synth over Web MIDI.
+//
+// Anything with a Web MIDI style `send(data, timestamp)` method can be passed
+// as `port`, so the backend can be exercised with a mock instead of hardware:
+//
+//   const sent = [];
+//   const output = new WebMidiOutput({ port: { send: (data, time) => sent.push({ data, time }) } });
+class WebMidiOutput {
+  constructor(options = {}) {
+    this.name = 'midi';
+    this.port = options.port || null;
+    this.portId = options.portId || null;
+    this.channels = { ...CATEGORY_CHANNELS, ...options.channels };
+    this.now = options.now || (() => performance.now());
+    this.ready = !!this.port;
+  }
+
+  static async listPorts() {
+    if (!navigator.requestMIDIAccess) return [];
+    const access = await navigator.requestMIDIAccess();
+    return [...access.outputs.values()].map(port => ({ id: port.id, name: port.name }));
+  }
+
+  async init() {
+    if (this.ready) return;
+
+    if (!navigator.requestMIDIAccess) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    const access = await navigator.requestMIDIAccess();
+    const outputs = [...access.outputs.values()];
+    this.port = outputs.find(port => port.id === this.portId) || outputs[0];
+    if (!this.port) throw new Error('No MIDI output ports available');
+
+    this.ready = true;
+    console.log('[MIDI] Using output:', this.port.name);
+  }
+
+  async selectPort(portId) {
+    this.portId = portId;
+    if (!this.ready) return;
+    this.allNotesOff();
+    this.ready = false;
+    this.port = null;
+    await this.init();
+  }
+
+  play(params) {
+    const channel = this.channels[params.category] ?? 0;
+    const note = noteToMidi(params.note);
+    const now = this.now() + (params.delay || 0) * 1000;
+
+    this.port.send([0xB0 | channel, PAN_CC, panToController(params.pan)], now);
+    // Microtonal notes bend the whole channel, so overlapping notes share a tuning
+    this.port.send([0xE0 | channel, ...noteToPitchBend(params.note)], now);
+    this.port.send([0x90 | channel, note, ampToVelocity(params.amp)], now);
+    // Let the port schedule the note-off rather than keeping timers here
+    this.port.send([0x80 | channel, note, 0], now + (params.attack + params.release) * 1000);
+  }
+
+  allNotesOff() {
+    if (!this.port) return;
+    new Set(Object.values(this.channels)).forEach(channel => {
+      this.port.send([0xB0 | channel, ALL_NOTES_OFF_CC, 0]);
+    });
+  }
+
+  async cleanup() {
+    this.allNotesOff();
+    this.port = null;
+    this.ready = false;
+  }
+}
+
+export { WebMidiOutput };